@@ -0,0 +1,719 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const path = require('path');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const { Octokit } = require('@octokit/rest');
+const { createAuthenticator, createGithubOAuth } = require('./auth');
+const { extractCv } = require('./cv');
+const { UpstreamError, ValidationError } = require('./errors');
+const { processHeadshot } = require('./images');
+const { loadLocales } = require('./i18n');
+const { JobManager, MemoryJobStore } = require('./jobs');
+const { createLogger } = require('./logger');
+const { PortfolioStore, createEditToken, hashToken, verifyEditToken } = require('./portfolios');
+const { createProjectImporter } = require('./projects');
+const { createPublishers } = require('./publishers');
+const { renderPortfolio } = require('./render');
+const { oneOf } = require('./schema');
+const { loadThemes } = require('./themes');
+const { UserStore } = require('./users');
+
+// Color themes, one JSON file each in themes/
+const themes = loadThemes(path.join(__dirname, '..', 'themes'));
+
+// UI string catalogs, one JSON file per language in locales/
+const locales = loadLocales(path.join(__dirname, '..', 'locales'));
+
+// Wrap an async route so a rejection reaches the error middleware
+const handle = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Pick the uploaded CV and headshot out of a multer request
+const getUploads = (req) => {
+  const files = req.files || {};
+  return {
+    cvFile: files['cv'] ? files['cv'][0] : null,
+    imageFile: files['image'] ? files['image'][0] : null,
+  };
+};
+
+// Remove uploaded files once they have been copied where they need to go
+const removeUploads = async ({ cvFile, imageFile }) => {
+  if (cvFile) await fs.unlink(cvFile.path).catch(() => {});
+  if (imageFile) await fs.unlink(imageFile.path).catch(() => {});
+};
+
+// What the API shows of a user; tokens stay on the server
+const publicUser = ({ id, login, name }) => ({ id, login, name: name || null });
+
+// What a publish result shows the client; anything else stays on the server
+const publicResult = (target, { url, artifact, changed }) => ({ target, url, artifact, changed });
+
+// What the API shows of a stored portfolio; the edit token hash stays on the server
+const portfolioSummary = ({ id, target, input = {}, url, createdAt, updatedAt, publishedAt }) => ({
+  id,
+  name: input.name || null,
+  template: input.template || null,
+  target,
+  url: url || null,
+  createdAt,
+  updatedAt,
+  publishedAt: publishedAt || null,
+});
+const publicPortfolio = portfolio => ({
+  ...portfolioSummary(portfolio),
+  repoName: portfolio.repoName || null,
+  input: portfolio.input || null,
+  history: portfolio.history || [],
+});
+
+// Why a request may not manage a portfolio, as { status, error }; unowned ones need the edit token
+const accessProblem = (req, portfolio) => {
+  if (!portfolio) return { status: 404, error: 'Portfolio not found' };
+  if (portfolio.userId && portfolio.userId !== req.user.id) {
+    return { status: 403, error: 'Portfolio belongs to another user' };
+  }
+  if (!portfolio.userId && !verifyEditToken(portfolio, req.get('X-Edit-Token'))) {
+    return { status: 403, error: 'Invalid edit token' };
+  }
+  return null;
+};
+
+// Build the Express app and its `shutdown()`; `deps` replaces anything talking to the outside
+const createApp = (config, deps = {}) => {
+  const app = express();
+  const logger = deps.logger || createLogger();
+  const GithubClient = deps.Octokit || Octokit;
+  const githubToken = config.github ? config.github.token : undefined;
+
+  // Sign-in with GitHub, and the users who did so along with their sessions
+  const oauth = config.oauth && createGithubOAuth({ ...config.oauth, Octokit: GithubClient });
+  const users = deps.users || (oauth ? new UserStore(path.join(config.dataDir, 'users.json'), { secret: config.authSecret }) : null);
+  const authenticate = createAuthenticator({ users, apiKeys: config.apiKeys });
+
+  // Published portfolios, so they can be updated in place later
+  const portfolios = deps.portfolios || new PortfolioStore(path.join(config.dataDir, 'portfolios.json'));
+
+  // Publishing targets: ZIP always, the others when configured
+  const publishers = deps.publishers || createPublishers({
+    github: (config.github || config.oauth) && { ...config.github, Octokit: GithubClient },
+    zip: { dir: path.join(config.tempDir, 'artifacts') },
+    filesystem: config.filesystem,
+    git: config.git,
+  });
+
+  // Background publishing jobs, polled through /api/jobs
+  const jobs = deps.jobs || new JobManager({ store: new MemoryJobStore(), logger });
+
+  // Event stream links are signed, as EventSource can't send an Authorization header
+  const streamKey = crypto.randomBytes(32);
+  const streamTtl = 60 * 60 * 1000; // 1 hour
+  const streamSignature = (jobId, expires) =>
+    crypto.createHmac('sha256', streamKey).update(`${jobId}:${expires}`).digest('base64url');
+  const signedStream = (req) => {
+    const { expires, signature } = req.query;
+    if (typeof signature !== 'string' || !(Number(expires) > Date.now())) return false;
+    const expected = Buffer.from(streamSignature(req.params.id, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
+  // Accepted jobs are answered straight away with where to follow them
+  const jobAccepted = (res, job) => {
+    const expires = Date.now() + streamTtl;
+    res.status(202).json({
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events?${new URLSearchParams({ expires, signature: streamSignature(job.id, expires) })}`,
+    });
+  };
+
+  // Repositories shown through a payload's githubProjects field, cached for a while
+  const importProjects = deps.importProjects || createProjectImporter({ Octokit: GithubClient });
+
+  // Configure multer for file uploads
+  const storage = multer.diskStorage({
+    destination: config.uploadDir,
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname);
+      cb(null, `${Date.now()}-${file.fieldname}${ext}`);
+    },
+  });
+  const fileError = (field, message) => ValidationError.fromFields([{ field, code: 'invalid_format', message }]);
+  const upload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+      if (file.fieldname === 'cv' && file.mimetype !== 'application/pdf') {
+        return cb(fileError('cv', 'CV must be a PDF file'));
+      }
+      if (file.fieldname === 'image' && !file.mimetype.match(/^image\/(jpeg|png)$/)) {
+        return cb(fileError('image', 'Profile image must be a JPEG or PNG file'));
+      }
+      cb(null, true);
+    },
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  });
+
+  // Tag each request with an id and log it without its query string, which can hold secrets
+  app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && /^[\w.-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      logger.info('request', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+        userId: req.user ? req.user.id : undefined,
+      });
+    });
+    next();
+  });
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // Rate limiting: per user for everything that needs signing in, per IP for signing in
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each user to 100 requests per windowMs
+    keyGenerator: req => req.user.id,
+  });
+  const signInLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // Limit each IP to 20 sign-in attempts per windowMs
+  });
+  app.use('/auth', signInLimiter);
+  for (const route of ['/api/generate', '/api/preview', '/api/portfolios', '/api/cv', '/api/me', '/api/artifacts']) {
+    app.use(route, authenticate, limiter);
+  }
+
+  // The user's own GitHub account, or none to publish with the server's
+  const githubAccountOf = user => (users ? users.githubAccount(user) : null);
+
+  // The account a stored portfolio is published with; unowned ones live in the server's
+  const accountFor = (req, portfolio) => (portfolio.userId ? githubAccountOf(req.user) : null);
+
+  // The publisher a new portfolio asks for, GitHub Pages unless it says otherwise
+  const publisherFor = (target, user) => {
+    const publisher = publishers.get(target || 'github');
+    if (!publisher) {
+      throw ValidationError.fromFields([{
+        field: 'target',
+        code: 'invalid_choice',
+        message: `target must be one of: ${[...publishers.keys()].join(', ')}`,
+      }]);
+    }
+    if (publisher.canPublish && !publisher.canPublish(githubAccountOf(user))) {
+      throw ValidationError.fromFields([{
+        field: 'target',
+        code: 'unavailable',
+        message: 'Sign in with GitHub to publish to GitHub Pages, or choose another target',
+      }]);
+    }
+    return publisher;
+  };
+
+  // Import projects, render and process the headshot up front, so bad input is a 400
+  const preparePortfolio = async (body, { imageFile }, { siteUrl, user, hasHeadshot = false } = {}) => {
+    const account = user && githubAccountOf(user);
+    const githubProjects = await importProjects(body.githubProjects, { token: account ? account.token : githubToken });
+    const headshot = imageFile ? await processHeadshot(imageFile.path, { focalPoint: body.focalPoint }) : [];
+    const withHeadshot = hasHeadshot || headshot.length > 0;
+    const rendered = renderPortfolio(body, { themes, locales, siteUrl, githubProjects, headshot: withHeadshot });
+    return { ...rendered, headshot, hasHeadshot: withHeadshot, body, githubProjects };
+  };
+
+  // Previews live on disk for a short while so the returned page can load its assets
+  const previewDir = path.join(config.tempDir, 'previews');
+  const previewTtl = 30 * 60 * 1000; // 30 minutes
+  const previews = new Map(); // preview id -> expiry timestamp
+
+  const removePreview = async (id) => {
+    previews.delete(id);
+    await fs.rm(path.join(previewDir, id), { recursive: true, force: true });
+  };
+
+  // Sweep expired previews every minute
+  const previewSweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [id, expiresAt] of previews) {
+      if (expiresAt <= now) {
+        removePreview(id).catch(error => logger.error('Error removing preview', { previewId: id, error }));
+      }
+    }
+  }, 60 * 1000);
+  previewSweeper.unref();
+
+  // Set while shutting down, so load balancers stop sending requests
+  let draining = false;
+
+  // Liveness: the process is up and answering
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: not shutting down, and the stores can be read
+  app.get('/readyz', async (req, res) => {
+    if (draining) return res.status(503).json({ status: 'shutting_down' });
+    try {
+      await Promise.all([portfolios.ping(), users && users.ping()]);
+    } catch (error) {
+      logger.warn('Readiness check failed', { requestId: req.id, error });
+      return res.status(503).json({ status: 'unavailable' });
+    }
+    res.json({ status: 'ready' });
+  });
+
+  // API endpoint listing the available themes and their palettes
+  app.get('/api/themes', (req, res) => {
+    res.json({ themes: [...themes.values()] });
+  });
+
+  // API endpoint listing the languages pages can be rendered in
+  app.get('/api/locales', (req, res) => {
+    res.json({ locales: [...locales.values()].map(({ id, name, dir }) => ({ id, name, dir })) });
+  });
+
+  // Start signing in with GitHub
+  app.get('/auth/github', (req, res) => {
+    if (!oauth) return res.status(404).json({ error: 'Sign-in with GitHub is not configured' });
+    res.redirect(oauth.authorizeUrl());
+  });
+
+  // Trade GitHub's code for a session, sent in the AUTH_SUCCESS_URL fragment or as JSON
+  app.get('/auth/github/callback', handle(async (req, res) => {
+    if (!oauth) return res.status(404).json({ error: 'Sign-in with GitHub is not configured' });
+    if (!req.query.code || !oauth.checkState(req.query.state)) {
+      return res.status(400).json({ error: 'Invalid or expired sign-in, please try again' });
+    }
+    const account = await oauth.exchangeCode(req.query.code);
+    if (!account) return res.status(400).json({ error: 'GitHub did not accept the sign-in code' });
+    const user = await users.saveGithubUser(account);
+    const token = await users.createSession(user.id);
+
+    if (config.oauth.successUrl) {
+      return res.redirect(`${config.oauth.successUrl}#${new URLSearchParams({ token })}`);
+    }
+    res.json({ token, user: publicUser(user) });
+  }));
+
+  // End the session the request was made with
+  app.post('/auth/logout', authenticate, handle(async (req, res) => {
+    if (users) await users.removeSession(req.get('Authorization').split(' ')[1]);
+    res.status(204).end();
+  }));
+
+  // API endpoint describing who the request is authenticated as
+  app.get('/api/me', (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  // API endpoint reading an uploaded resume PDF into a draft payload with per-field confidence
+  app.post('/api/cv/extract', upload.fields([{ name: 'cv' }]), handle(async (req, res) => {
+    const uploads = getUploads(req);
+    if (!uploads.cvFile) {
+      throw ValidationError.fromFields([{ field: 'cv', code: 'required', message: 'cv is required' }]);
+    }
+    const { pages, draft, confidence } = await extractCv(await fs.readFile(uploads.cvFile.path));
+    await removeUploads(uploads);
+    res.json({ draft, confidence, pages });
+  }));
+
+  // API endpoint to preview an ePortfolio without publishing it
+  app.post('/api/preview', upload.fields([{ name: 'cv' }, { name: 'image' }]), handle(async (req, res) => {
+    const uploads = getUploads(req);
+    const { html, headshot, files } = await preparePortfolio(req.body, uploads, { user: req.user });
+
+    // Write the page and its assets where the preview route can serve them
+    const id = crypto.randomBytes(16).toString('hex');
+    const previewPath = path.join(previewDir, id);
+    try {
+      await fs.mkdir(previewPath, { recursive: true });
+      await fs.writeFile(path.join(previewPath, 'index.html'), html);
+      if (uploads.cvFile) await fs.copyFile(uploads.cvFile.path, path.join(previewPath, 'resume.pdf'));
+      for (const file of [...headshot, ...files]) {
+        await fs.mkdir(path.dirname(path.join(previewPath, file.path)), { recursive: true });
+        await fs.writeFile(path.join(previewPath, file.path), file.content, 'base64');
+      }
+    } catch (error) {
+      await removePreview(id);
+      throw error;
+    }
+    await removeUploads(uploads);
+
+    const expiresAt = Date.now() + previewTtl;
+    previews.set(id, expiresAt);
+
+    res.json({
+      html,
+      url: `${req.protocol}://${req.get('host')}/preview/${id}/`,
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+  }));
+
+  // Serve a rendered preview and its assets until it expires
+  app.get('/preview/:id', (req, res, next) => {
+    // Relative asset links only resolve with the trailing slash
+    if (req.path.endsWith('/')) return next();
+    res.redirect(301, `/preview/${req.params.id}/`);
+  });
+  app.get('/preview/:id/*', (req, res) => {
+    const { id } = req.params;
+    const expiresAt = previews.get(id);
+    if (!expiresAt || expiresAt <= Date.now()) {
+      return res.status(404).json({ error: 'Preview not found or expired' });
+    }
+    // Language versions live in folders, each with its own index.html
+    const file = !req.params[0] || req.params[0].endsWith('/') ? `${req.params[0]}index.html` : req.params[0];
+    res.sendFile(file, { root: path.join(previewDir, id), dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) res.status(error.status || 404).json({ error: 'File not found' });
+    });
+  });
+
+  // Stage the page and uploads for committing, noting which files were generated
+  const stageFiles = async (id, { html, headshot, files }, { cvFile }) => {
+    const repoPath = path.join(config.tempDir, 'sites', id);
+    await fs.mkdir(repoPath, { recursive: true });
+
+    // Write HTML
+    await fs.writeFile(path.join(repoPath, 'index.html'), html);
+
+    // Prepare files to commit
+    const filesToCommit = [
+      { path: 'index.html', content: Buffer.from(html).toString('base64') },
+    ];
+    if (cvFile) {
+      await fs.copyFile(cvFile.path, path.join(repoPath, 'resume.pdf'));
+      filesToCommit.push({ path: 'resume.pdf', content: await fs.readFile(cvFile.path, 'base64') });
+    }
+    for (const file of [...headshot, ...files]) {
+      await fs.mkdir(path.dirname(path.join(repoPath, file.path)), { recursive: true });
+      await fs.writeFile(path.join(repoPath, file.path), file.content, 'base64');
+      filesToCommit.push(file);
+    }
+    return { repoPath, filesToCommit, generated: ['index.html', ...files.map(file => file.path)] };
+  };
+
+  // Publish a rendered portfolio for the first time, reporting each stage of the job
+  const publishPortfolio = async (rendered, uploads, publisher, user, report) => {
+    let portfolio;
+    let saved = false;
+    let repoPath;
+    const editToken = createEditToken();
+    const account = githubAccountOf(user);
+    try {
+      await report('validating');
+
+      // Give the portfolio a stable id, an owner and an edit token for later updates
+      portfolio = await portfolios.create(rendered.data.name, {
+        target: publisher.name,
+        userId: user.id,
+        editTokenHash: hashToken(editToken),
+        input: rendered.body,
+        hasHeadshot: rendered.hasHeadshot,
+        hasResume: Boolean(uploads.cvFile),
+      });
+
+      // Now that the portfolio has an id the target can tell where the site will live
+      const siteUrl = publisher.siteUrl(portfolio, account);
+      const site = {
+        ...rendered,
+        ...renderPortfolio(rendered.body, {
+          themes,
+          locales,
+          siteUrl,
+          githubProjects: rendered.githubProjects,
+          headshot: rendered.hasHeadshot,
+        }),
+      };
+      const staged = await stageFiles(portfolio.id, site, uploads);
+      repoPath = staged.repoPath;
+
+      const result = await publisher.publish({
+        portfolio,
+        files: staged.filesToCommit,
+        report,
+        saveState: async (fields) => {
+          portfolio = await portfolios.update(portfolio.id, fields);
+          saved = true;
+        },
+        account,
+      });
+      await portfolios.recordPublish(portfolio.id, {
+        input: rendered.body,
+        url: result.url || null,
+        changed: result.changed,
+        generatedFiles: staged.generated,
+      });
+
+      // Whatever the target produced, along with what is needed to update it later
+      return { ...publicResult(publisher.name, result), id: portfolio.id, editToken };
+    } catch (error) {
+      logger.error('Error generating ePortfolio', { portfolioId: portfolio && portfolio.id, error });
+
+      // Release the id unless the target holds state, in which case the client can retry with PUT
+      if (portfolio && !saved) await portfolios.remove(portfolio.id).catch(() => {});
+      if (portfolio && saved) error.details = { id: portfolio.id, editToken };
+      throw error;
+    } finally {
+      // Clean up temporary files, whether or not publishing worked
+      if (repoPath) await fs.rm(repoPath, { recursive: true, force: true }).catch(() => {});
+      await removeUploads(uploads);
+    }
+  };
+
+  // Regenerate an existing portfolio and publish whatever changed to its target
+  const redeployPortfolio = async (portfolio, rendered, uploads, publisher, account, report) => {
+    let repoPath;
+    try {
+      await report('validating');
+      const staged = await stageFiles(portfolio.id, rendered, uploads);
+      repoPath = staged.repoPath;
+
+      // Uploads not sent again stay published; generated files no longer rendered are removed
+      const removed = (portfolio.generatedFiles || []).filter(file => !staged.generated.includes(file));
+      const result = await publisher.publish({
+        portfolio,
+        files: staged.filesToCommit,
+        removed,
+        report,
+        saveState: fields => portfolios.update(portfolio.id, fields),
+        account,
+      });
+      await portfolios.recordPublish(portfolio.id, {
+        input: rendered.body,
+        url: result.url || portfolio.url || null,
+        changed: result.changed,
+        generatedFiles: staged.generated,
+      });
+      const uploaded = {};
+      if (rendered.hasHeadshot && !portfolio.hasHeadshot) uploaded.hasHeadshot = true;
+      if (uploads.cvFile && !portfolio.hasResume) uploaded.hasResume = true;
+      if (Object.keys(uploaded).length > 0) await portfolios.update(portfolio.id, uploaded);
+
+      return { ...publicResult(publisher.name, result), id: portfolio.id };
+    } catch (error) {
+      logger.error('Error updating ePortfolio', { portfolioId: portfolio.id, error });
+      throw error;
+    } finally {
+      if (repoPath) await fs.rm(repoPath, { recursive: true, force: true }).catch(() => {});
+      await removeUploads(uploads);
+    }
+  };
+
+  // API endpoint to generate ePortfolio
+  app.post('/api/generate', upload.fields([{ name: 'cv' }, { name: 'image' }]), handle(async (req, res) => {
+    const uploads = getUploads(req);
+    const publisher = publisherFor(req.body.target, req.user);
+    const rendered = await preparePortfolio(req.body, uploads, { user: req.user });
+    const job = await jobs.start('generate', report => publishPortfolio(rendered, uploads, publisher, req.user, report), { userId: req.user.id });
+    jobAccepted(res, job);
+  }));
+
+  // API endpoint to regenerate and redeploy an existing ePortfolio
+  app.put('/api/portfolios/:id', upload.fields([{ name: 'cv' }, { name: 'image' }]), handle(async (req, res) => {
+    const uploads = getUploads(req);
+    const portfolio = await portfolios.get(req.params.id);
+    const denied = accessProblem(req, portfolio);
+    if (denied) {
+      await removeUploads(uploads);
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const publisher = publishers.get(portfolio.target || 'github');
+    if (!publisher) {
+      await removeUploads(uploads);
+      return res.status(409).json({ error: `Publishing target ${portfolio.target} is no longer configured` });
+    }
+
+    // Stateless targets rebuild the whole site, so earlier uploads have to be sent again
+    const missing = publisher.stateless && [
+      portfolio.hasResume && !uploads.cvFile && 'cv',
+      portfolio.hasHeadshot && !uploads.imageFile && 'image',
+    ].filter(Boolean);
+    if (missing && missing.length > 0) {
+      await removeUploads(uploads);
+      const labels = missing.map(field => (field === 'cv' ? 'CV' : 'headshot')).join(' and ');
+      return res.status(409).json({
+        error: `Upload the ${labels} again: each ${portfolio.target} update rebuilds the site from scratch`,
+        missing,
+      });
+    }
+
+    const account = accountFor(req, portfolio);
+    const rendered = await preparePortfolio(req.body, uploads, {
+      siteUrl: publisher.siteUrl(portfolio, account),
+      user: req.user,
+      hasHeadshot: portfolio.hasHeadshot,
+    });
+    const job = await jobs.start('update', report => redeployPortfolio(portfolio, rendered, uploads, publisher, account, report), {
+      userId: req.user.id,
+    });
+    jobAccepted(res, job);
+  }));
+
+  // API endpoint listing the signed-in user's portfolios
+  app.get('/api/portfolios', handle(async (req, res) => {
+    const owned = await portfolios.list(req.user.id);
+    res.json({ portfolios: owned.map(portfolioSummary) });
+  }));
+
+  // API endpoint returning a portfolio with its last input and publish history
+  app.get('/api/portfolios/:id', handle(async (req, res) => {
+    const portfolio = await portfolios.get(req.params.id);
+    const denied = accessProblem(req, portfolio);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    res.json({ portfolio: publicPortfolio(portfolio) });
+  }));
+
+  // Download a portfolio's input, without uploads, for POST /api/portfolios/import
+  app.get('/api/portfolios/:id/export', handle(async (req, res) => {
+    const portfolio = await portfolios.get(req.params.id);
+    const denied = accessProblem(req, portfolio);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    res.attachment(`${portfolio.id}.json`);
+    res.json({ version: 1, exportedAt: new Date().toISOString(), input: portfolio.input || {} });
+  }));
+
+  // API endpoint publishing a new portfolio from an export, like /api/generate
+  app.post('/api/portfolios/import', handle(async (req, res) => {
+    const { version, input, target } = req.body || {};
+    if (version !== 1 || !input || typeof input !== 'object' || Array.isArray(input)) {
+      throw ValidationError.fromFields([{
+        field: 'input',
+        code: 'invalid_format',
+        message: 'Body must be a portfolio export with version 1 and an input object',
+      }]);
+    }
+
+    const publisher = publisherFor(target || input.target, req.user);
+    const rendered = await preparePortfolio(input, {}, { user: req.user });
+    const job = await jobs.start('generate', report => publishPortfolio(rendered, {}, publisher, req.user, report), { userId: req.user.id });
+    jobAccepted(res, job);
+  }));
+
+  // API endpoint taking a portfolio down, archiving its site or deleting it with ?repo=delete
+  app.delete('/api/portfolios/:id', handle(async (req, res) => {
+    const errors = [];
+    const mode = oneOf(['archive', 'delete'])(req.query.repo, 'repo', errors) || 'archive';
+    if (errors.length) throw ValidationError.fromFields(errors);
+
+    const portfolio = await portfolios.get(req.params.id);
+    const denied = accessProblem(req, portfolio);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const publisher = publishers.get(portfolio.target || 'github');
+    if (!publisher) {
+      return res.status(409).json({ error: `Publishing target ${portfolio.target} is no longer configured` });
+    }
+
+    const { action = null } = publisher.unpublish
+      ? await publisher.unpublish({ portfolio, account: accountFor(req, portfolio), mode })
+      : {};
+    await portfolios.remove(portfolio.id, { keepId: true });
+    res.json({ id: portfolio.id, deleted: true, site: action });
+  }));
+
+  // A job the request's user started; anyone else's could leak an edit token
+  const ownJob = async (req) => {
+    const job = await jobs.get(req.params.id);
+    return job && job.userId === req.user.id ? job : null;
+  };
+
+  // API endpoint to poll a generation job; polling doesn't count against the rate limit
+  app.get('/api/jobs/:id', authenticate, handle(async (req, res) => {
+    const job = await ownJob(req);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  }));
+
+  // Download a bundle the request's user produced with the zip target
+  app.get('/api/artifacts/:name', (req, res) => {
+    const zip = publishers.get('zip');
+    const file = zip && zip.artifactFile(path.basename(req.params.name), req.user.id);
+    if (!file) return res.status(404).json({ error: 'Artifact not found or expired' });
+    res.download(file, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Artifact not found or expired' });
+    });
+  });
+
+  // Open event streams, closed early when shutting down
+  const streams = new Set();
+
+  // Server-Sent Events stream of a job's progress, open to its signed link
+  const streamAccess = (req, res, next) => (signedStream(req) ? next() : authenticate(req, res, next));
+  app.get('/api/jobs/:id/events', streamAccess, handle(async (req, res) => {
+    const job = req.user ? await ownJob(req) : await jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${update.status === 'running' ? 'progress' : update.status}\ndata: ${JSON.stringify(update)}\n\n`);
+      if (update.status !== 'running') close();
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+    const unsubscribe = jobs.subscribe(job.id, send);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(close);
+      res.end();
+    };
+    streams.add(close);
+    req.on('close', close);
+
+    // Start with the current state; fetch it again in case the job moved on while subscribing
+    send(await jobs.get(job.id));
+  }));
+
+  // Remove a failed request's uploads and answer with a 4xx, a 502/503 or a logged 500
+  app.use(async (error, req, res, next) => {
+    await removeUploads(getUploads(req));
+    if (res.headersSent) return next(error);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error instanceof UpstreamError) {
+      logger.warn('Upstream request failed', { requestId: req.id, error });
+      return res.status(error.status).json({ error: error.message, fields: error.fields });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: error.message,
+        fields: [{ field: error.field || 'files', code: error.code.toLowerCase(), message: error.message }],
+      });
+    }
+    if (error.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large' });
+    if (error.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON' });
+
+    logger.error('Request failed', { requestId: req.id, method: req.method, path: req.originalUrl.split('?')[0], error });
+    res.status(500).json({ error: 'Internal server error', requestId: req.id });
+  });
+
+  const shutdown = async ({ timeout = 30 * 1000 } = {}) => {
+    draining = true;
+    clearInterval(previewSweeper);
+    for (const close of [...streams]) close();
+    const finished = await jobs.drain(timeout);
+    if (!finished) logger.warn('Jobs still running at shutdown', { count: jobs.running.size });
+  };
+
+  return { app, shutdown };
+};
+
+module.exports = { createApp };
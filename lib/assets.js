@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fsSync = require('fs');
+
+// How a page loads its fonts and scripts: from public CDNs, or from copies published
+// next to it so the site works offline and under a strict Content-Security-Policy
+const ASSET_MODES = ['cdn', 'bundled'];
+
+// Font weights the stylesheet uses
+const FONTS = [
+  { family: 'Inter', package: 'inter', weights: [400, 600, 700] },
+  { family: 'Poppins', package: 'poppins', weights: [500, 700] },
+];
+
+const fontFile = (font, weight) => `${font.package}-latin-${weight}-normal.woff2`;
+
+const fontFaces = () =>
+  FONTS.flatMap(font => font.weights.map(weight => `@font-face {
+  font-family: '${font.family}';
+  font-style: normal;
+  font-weight: ${weight};
+  font-display: swap;
+  src: url(./fonts/${fontFile(font, weight)}) format('woff2');
+}
+`)).join('');
+
+// Files published under assets/ in bundled mode, as [{ path, content }] with base64
+// content. They never change while the server runs, so they are read once.
+let bundled;
+const bundledAssets = () => {
+  if (!bundled) {
+    const read = name => fsSync.readFileSync(require.resolve(name)).toString('base64');
+    bundled = [
+      { path: 'assets/fonts.css', content: Buffer.from(fontFaces()).toString('base64') },
+      ...FONTS.flatMap(font => font.weights.map(weight => ({
+        path: `assets/fonts/${fontFile(font, weight)}`,
+        content: read(`@fontsource/${font.package}/files/${fontFile(font, weight)}`),
+      }))),
+      { path: 'assets/aos.css', content: read('aos/dist/aos.css') },
+      { path: 'assets/aos.js', content: read('aos/dist/aos.js') },
+      { path: 'assets/vanilla-tilt.min.js', content: read('vanilla-tilt/dist/vanilla-tilt.min.js') },
+    ];
+  }
+  return bundled;
+};
+
+// Stylesheets and scripts the page links to in each mode
+const ASSET_LINKS = {
+  cdn: {
+    styles: [
+      'https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&family=Poppins:wght@500;700&display=swap',
+      'https://cdn.jsdelivr.net/npm/aos@2.3.1/dist/aos.css',
+    ],
+    scripts: [
+      'https://cdn.jsdelivr.net/npm/aos@2.3.1/dist/aos.js',
+      'https://cdn.jsdelivr.net/npm/vanilla-tilt@1.7.0/dist/vanilla-tilt.min.js',
+    ],
+  },
+  bundled: {
+    styles: ['./assets/fonts.css', './assets/aos.css'],
+    scripts: ['./assets/aos.js', './assets/vanilla-tilt.min.js'],
+  },
+};
+
+const sha256 = text => `'sha256-${crypto.createHash('sha256').update(text).digest('base64')}'`;
+
+// Policy for a bundled page: only its own files plus the one inline stylesheet and
+// script, allowed by hash. Meta tags can't set frame-ancestors, so that is left to the host.
+const contentSecurityPolicy = ({ style, script }) => [
+  "default-src 'none'",
+  "img-src 'self' data:",
+  "font-src 'self'",
+  `style-src 'self' ${sha256(style)}`,
+  `script-src 'self' ${sha256(script)}`,
+  "base-uri 'none'",
+  "form-action 'none'",
+].join('; ');
+
+module.exports = { ASSET_MODES, ASSET_LINKS, bundledAssets, contentSecurityPolicy };
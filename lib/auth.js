@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+const { hashToken } = require('./portfolios');
+
+// How long a sign-in started with /auth/github may take to come back
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// API keys for internal tooling, configured as "name:key,name:key". Each name acts as a
+// user of its own, keyed by the hash of its key. Tooling has no GitHub account, so it
+// publishes with the server's token if there is one.
+const parseApiKeys = (value) => {
+  const keys = new Map();
+  for (const entry of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator < 1 || !key) throw new Error(`Invalid API_KEYS entry for "${name || entry}": expected name:key`);
+    keys.set(hashToken(key), { id: `key:${name}`, login: name, name });
+  }
+  return keys;
+};
+
+// Middleware that requires an API key or session token as "Authorization: Bearer <token>"
+// and puts whoever it belongs to on req.user
+const createAuthenticator = ({ users, apiKeys }) => async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (!/^bearer$/i.test(scheme) || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    const user = apiKeys.get(hashToken(token)) || (users ? await users.findSession(token) : null);
+    if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GitHub's OAuth web flow. public_repo covers creating the portfolio repository and turning
+// on Pages for it; delete_repo lets a user delete it along with their portfolio.
+const createGithubOAuth = ({ clientId, clientSecret, callbackUrl, Octokit: Client = Octokit }) => {
+  const states = new Map(); // state -> expiry timestamp
+
+  return {
+    // Where to send the browser to sign in, with a single-use state against forged callbacks
+    authorizeUrl() {
+      const now = Date.now();
+      for (const [state, expiresAt] of states) {
+        if (expiresAt <= now) states.delete(state);
+      }
+      const state = crypto.randomBytes(16).toString('hex');
+      states.set(state, now + STATE_TTL);
+
+      const params = new URLSearchParams({ client_id: clientId, scope: 'public_repo delete_repo', state });
+      if (callbackUrl) params.set('redirect_uri', callbackUrl);
+      return `https://github.com/login/oauth/authorize?${params}`;
+    },
+
+    checkState(state) {
+      const expiresAt = states.get(state);
+      states.delete(state);
+      return Boolean(expiresAt && expiresAt > Date.now());
+    },
+
+    // Trade the code GitHub sent back for a token and the account it belongs to;
+    // null when GitHub rejects the code
+    async exchangeCode(code) {
+      const response = await fetch('https://github.com/login/oauth/access_token', {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ client_id: clientId, client_secret: clientSecret, code, redirect_uri: callbackUrl }),
+      });
+      if (!response.ok) throw new Error(`GitHub token exchange failed with status ${response.status}`);
+      const { access_token: token } = await response.json();
+      if (!token) return null;
+
+      const { data: profile } = await new Client({ auth: token }).users.getAuthenticated();
+      return { githubId: profile.id, login: profile.login, name: profile.name, token };
+    },
+  };
+};
+
+module.exports = { parseApiKeys, createAuthenticator, createGithubOAuth };
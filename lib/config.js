@@ -0,0 +1,58 @@
+const path = require('path');
+const { parseApiKeys } = require('./auth');
+
+// Read the server's settings from environment variables. Every problem is reported at
+// once in the thrown Error; what to do about it is left to the caller. Relative
+// directories are resolved against `root`, the project directory by default.
+const loadConfig = (env = process.env, { root = path.join(__dirname, '..') } = {}) => {
+  const problems = [];
+
+  // Server-wide GitHub account, only used for people who publish without signing in with
+  // GitHub (API key users). GITHUB_USERNAME is accepted as well, as older setups use it.
+  const githubToken = env.GITHUB_TOKEN;
+  const githubUser = env.GITHUB_USER || env.GITHUB_USERNAME;
+  if (Boolean(githubToken) !== Boolean(githubUser)) {
+    problems.push('GITHUB_TOKEN and GITHUB_USER must be set together');
+  }
+
+  // Sign-in with GitHub; AUTH_SECRET encrypts the GitHub tokens kept for publishing
+  const oauth = env.GITHUB_CLIENT_ID
+    ? {
+      clientId: env.GITHUB_CLIENT_ID,
+      clientSecret: env.GITHUB_CLIENT_SECRET,
+      callbackUrl: env.GITHUB_CALLBACK_URL,
+      successUrl: env.AUTH_SUCCESS_URL,
+    }
+    : null;
+  if (oauth && (!env.GITHUB_CLIENT_SECRET || !env.AUTH_SECRET)) {
+    problems.push('GITHUB_CLIENT_SECRET and AUTH_SECRET must be set to sign in with GitHub');
+  }
+
+  // API keys for internal tooling, as "name:key,name:key"
+  let apiKeys = new Map();
+  try {
+    apiKeys = parseApiKeys(env.API_KEYS);
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  if (!oauth && !apiKeys.size) {
+    problems.push('Set GITHUB_CLIENT_ID (sign-in with GitHub) or API_KEYS so users can authenticate');
+  }
+  if (problems.length) throw new Error(`Invalid configuration: ${problems.join('; ')}`);
+
+  return {
+    port: Number(env.PORT) || 3000,
+    github: githubToken ? { token: githubToken, user: githubUser } : null,
+    oauth,
+    authSecret: env.AUTH_SECRET,
+    apiKeys,
+    dataDir: path.resolve(root, env.DATA_DIR || 'data'),
+    tempDir: path.resolve(root, env.TEMP_DIR || 'temp'),
+    uploadDir: path.resolve(root, env.UPLOAD_DIR || 'uploads'),
+    filesystem: env.PUBLISH_DIR ? { dir: path.resolve(env.PUBLISH_DIR), baseUrl: env.PUBLISH_BASE_URL } : null,
+    git: env.GIT_REMOTE_URL ? { remote: env.GIT_REMOTE_URL, branch: env.GIT_BRANCH, siteUrl: env.GIT_SITE_URL } : null,
+  };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,177 @@
+// Best-effort extraction of a /api/generate draft from the text of a resume PDF. Everything
+// runs locally; each field comes with a confidence between 0 and 1 so the form can tell
+// what to double-check.
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { ValidationError } = require('./errors');
+
+const MAX_PAGES = 5;
+
+// A resume rarely says how well someone knows a skill, so every skill found starts at the
+// middle of the scale for the user to adjust
+const DEFAULT_PROFICIENCY = 50;
+
+// Headings that start the parts of a resume we read, matched against whole lines
+const HEADINGS = {
+  summary: /^(professional\s+)?(summary|profile|about(\s+me)?|objective|career\s+objective)$/i,
+  skills: /^((technical|core|key)\s+)?(skills|competencies|expertise|skills\s*(&|and)\s*\w+)$/i,
+  experience: /^((work|professional|relevant)\s+)?(experience|employment(\s+history)?|work\s+history)$/i,
+  other: /^(education|projects|certifications?|publications|awards|languages|interests|references|volunteering|activities)$/i,
+};
+
+const EMAIL = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+const LINKEDIN = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/([a-z0-9_%-]+)/i;
+const PHONE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+)?(?:\\d{1,2}\\/)?\\d{4}`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now|today)`, 'i');
+const BULLET = /^[•·▪●◦‣*-]\s*/;
+
+const clip = (value, max) => (value.length > max ? value.slice(0, max).trim() : value);
+
+const lineOf = text => text.replace(/\s+/g, ' ').trim();
+
+// Split the text into the lines before the first heading and the lines under each heading
+const splitSections = (lines) => {
+  const sections = { header: [] };
+  let current = 'header';
+  for (const line of lines) {
+    const heading = line.replace(/[:\s]+$/, '');
+    const match = heading.length <= 40 && Object.keys(HEADINGS).find(key => HEADINGS[key].test(heading));
+    if (match) {
+      current = match;
+      sections[current] = sections[current] || [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+  return sections;
+};
+
+// A name is a short line of capitalized words near the top, without digits or symbols
+const findName = (header) => {
+  const index = header.slice(0, 5).findIndex(line =>
+    /^[\p{Lu}][\p{L}'.-]*(\s+[\p{Lu}][\p{L}'.-]*){1,3}$/u.test(line) && !HEADINGS.other.test(line)
+  );
+  if (index === -1) return null;
+  return { value: clip(header[index], 100), confidence: index === 0 ? 0.8 : 0.6 };
+};
+
+const findPhone = (text) => {
+  for (const candidate of text.match(PHONE) || []) {
+    const digits = candidate.replace(/\D/g, '');
+    // Skip date ranges such as 2019 - 2021, which look a lot like numbers
+    if (digits.length >= 7 && digits.length <= 15 && !DATE_RANGE.test(candidate)) {
+      return { value: candidate.trim(), confidence: digits.length >= 10 ? 0.85 : 0.6 };
+    }
+  }
+  return null;
+};
+
+const findSkills = (lines) => {
+  const skills = [];
+  for (const line of lines) {
+    // "Languages: Go, Rust" lists the skills after its label
+    const list = line.replace(/^[^:,]{1,30}:\s*/, '');
+    for (const part of list.split(/[,;|•·▪●]|\s{2,}|\s-\s/)) {
+      const skill = part.replace(BULLET, '').trim();
+      if (skill && skill.length <= 50 && !skills.some(known => known.toLowerCase() === skill.toLowerCase())) {
+        skills.push(skill);
+      }
+    }
+  }
+  return skills.slice(0, 50);
+};
+
+// Experience entries start at a line with a date range; the role and company come from
+// that line or, when it only holds the dates, the line before it. The lines after it
+// become the description.
+const findExperience = (lines) => {
+  const parsed = lines.map((line) => {
+    const dates = DATE_RANGE.exec(line);
+    const title = dates ? lineOf(line.replace(dates[0], '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '')) : '';
+    return { line, dates, title };
+  });
+
+  const jobs = [];
+  parsed.forEach(({ line, dates, title }, index) => {
+    const next = parsed[index + 1];
+    if (!dates) {
+      const titlesNext = next && next.dates && !next.title && !BULLET.test(line);
+      if (jobs.length && !titlesNext) jobs[jobs.length - 1].lines.push(line);
+      return;
+    }
+    const heading = title || (index > 0 && !BULLET.test(lines[index - 1]) ? lines[index - 1] : '');
+    const [role, company = ''] = heading.split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/);
+    jobs.push({ role, company, start: dates[1], end: dates[2], lines: [] });
+  });
+
+  return jobs
+    .filter(job => job.role)
+    .slice(0, 30)
+    .map(job => ({
+      role: clip(job.role, 100),
+      company: clip(job.company || 'Unknown', 100),
+      start: clip(job.start, 30),
+      end: clip(/present|current|now|today/i.test(job.end) ? 'Present' : job.end, 30),
+      // Descriptions are Markdown, so bullet points stay a list
+      description: clip(job.lines.map(line => (BULLET.test(line) ? `- ${line.replace(BULLET, '')}` : line)).join('\n'), 2000),
+    }));
+};
+
+// Turn resume text into { draft, confidence }: the draft holds the fields that were found,
+// in the shape /api/generate takes, and confidence has a score for every field
+const parseCvText = (text) => {
+  const lines = text.split(/\r?\n/).map(lineOf).filter(Boolean);
+  const sections = splitSections(lines);
+  const found = {};
+
+  const name = findName(sections.header);
+  if (name) found.name = name;
+
+  const email = EMAIL.exec(text);
+  if (email) found.email = { value: email[0], confidence: 0.95 };
+
+  const phone = findPhone(sections.header.join('\n') || text);
+  if (phone) found.phone = phone;
+
+  const linkedin = LINKEDIN.exec(text);
+  if (linkedin) found.linkedin = { value: `https://www.linkedin.com/in/${linkedin[1]}`, confidence: 0.9 };
+
+  if (sections.summary && sections.summary.length) {
+    found.summary = { value: clip(sections.summary.join(' '), 2000), confidence: 0.7 };
+  }
+
+  const skills = findSkills(sections.skills || []);
+  if (skills.length) {
+    found.skills = { value: skills, confidence: 0.7 };
+    found.skillProficiencies = { value: skills.map(() => DEFAULT_PROFICIENCY), confidence: 0.1 };
+  }
+
+  const experience = findExperience(sections.experience || []);
+  if (experience.length) found.experience = { value: experience, confidence: 0.5 };
+
+  const fields = ['name', 'email', 'phone', 'linkedin', 'summary', 'skills', 'skillProficiencies', 'experience'];
+  return {
+    draft: Object.fromEntries(fields.filter(field => found[field]).map(field => [field, found[field].value])),
+    confidence: Object.fromEntries(fields.map(field => [field, found[field] ? found[field].confidence : 0])),
+  };
+};
+
+// Read the text of a PDF and extract a draft from it. A file that isn't a readable PDF is
+// reported as a problem with the `cv` field.
+const extractCv = async (buffer) => {
+  if (!buffer.slice(0, 1024).includes('%PDF-')) {
+    throw ValidationError.fromFields([{ field: 'cv', code: 'invalid_format', message: 'CV must be a PDF file' }]);
+  }
+  let parsed;
+  try {
+    // pdf.js reads the whole underlying ArrayBuffer, so a Buffer that is a view into a
+    // larger pooled one is copied first
+    parsed = await pdfParse(new Uint8Array(buffer), { max: MAX_PAGES });
+  } catch (error) {
+    throw ValidationError.fromFields([{ field: 'cv', code: 'invalid_format', message: 'CV could not be read as a PDF' }]);
+  }
+  return { pages: parsed.numpages, ...parseCvText(parsed.text || '') };
+};
+
+module.exports = { extractCv, parseCvText };
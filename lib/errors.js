@@ -0,0 +1,26 @@
+// Raised for problems with the submitted data, reported back as a 400.
+// `fields` lists each failing field as { field, code, message }.
+class ValidationError extends Error {
+  constructor(message, fields = []) {
+    super(message);
+    this.fields = fields;
+  }
+
+  // Build one error out of a list of field problems
+  static fromFields(fields) {
+    return new ValidationError(fields.map(problem => problem.message).join('; '), fields);
+  }
+}
+
+// Raised when a service the request relies on failed, reported back with `status`
+// (502, or 503 while it turns requests away) and the request fields that needed it.
+class UpstreamError extends Error {
+  constructor(message, { status = 502, fields = [], cause } = {}) {
+    super(message);
+    this.status = status;
+    this.fields = fields;
+    this.cause = cause;
+  }
+}
+
+module.exports = { UpstreamError, ValidationError };
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Git's blob id for some base64 content, used to spot files that have not changed
+const gitBlobSha = (base64) => {
+  const content = Buffer.from(base64, 'base64');
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+};
+
+// Raised when a commit could not be published; the branch is left where it was
+class CommitError extends Error {
+  constructor(message, { stage, cause } = {}) {
+    super(message);
+    this.stage = stage;
+    this.cause = cause;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures, rate limiting and server errors are worth another try
+const isTransient = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+const withRetry = async (fn, { attempts = 3, delay = 500 } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || !isTransient(error)) throw error;
+      await sleep(delay * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Run fn over items with at most `limit` calls in flight
+const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Try one commit on top of the branch's current head
+const attemptCommit = async (octokit, { owner, repo, branch, files, removed = [], message, onProgress }) => {
+  let stage = 'read';
+  try {
+    const { data: ref } = await withRetry(() => octokit.git.getRef({ owner, repo, ref: `heads/${branch}` }));
+    const parentSha = ref.object.sha;
+    const { data: parent } = await withRetry(() => octokit.git.getCommit({ owner, repo, commit_sha: parentSha }));
+    const { data: tree } = await withRetry(() =>
+      octokit.git.getTree({ owner, repo, tree_sha: parent.tree.sha, recursive: 'true' })
+    );
+
+    // Leave out files whose content is already in the tree
+    const existing = new Map(tree.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha]));
+    const changed = files.filter(file => existing.get(file.path) !== gitBlobSha(file.content));
+    const deleted = removed.filter(file => existing.has(file));
+    if (!changed.length && !deleted.length) return { commit: null, changed: [] };
+
+    stage = 'blobs';
+    let done = 0;
+    const blobs = await mapLimit(changed, 4, async (file) => {
+      const { data: blob } = await withRetry(() =>
+        octokit.git.createBlob({ owner, repo, content: file.content, encoding: 'base64' })
+      );
+      if (onProgress) await onProgress({ current: ++done, total: changed.length, path: file.path });
+      return { path: file.path, mode: '100644', type: 'blob', sha: blob.sha };
+    });
+
+    // A null sha takes the file out of the tree
+    stage = 'tree';
+    const deletions = deleted.map(file => ({ path: file, mode: '100644', type: 'blob', sha: null }));
+    const { data: newTree } = await withRetry(() =>
+      octokit.git.createTree({ owner, repo, base_tree: parent.tree.sha, tree: [...blobs, ...deletions] })
+    );
+
+    stage = 'commit';
+    const { data: commit } = await withRetry(() =>
+      octokit.git.createCommit({ owner, repo, message, tree: newTree.sha, parents: [parentSha] })
+    );
+
+    // Moving the branch is the only step visible on the site, so everything before it can simply be retried
+    stage = 'ref';
+    await octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: false });
+    return { commit: commit.sha, changed: [...changed.map(file => file.path), ...deleted] };
+  } catch (error) {
+    throw new CommitError(`Failed to publish files (${stage}): ${error.message}`, { stage, cause: error });
+  }
+};
+
+// Publish files as a single commit through the Git Data API, committing only what changed.
+// Paths in `removed` are deleted in the same commit, where the branch still has them.
+// If the branch moved underneath us the whole commit is rebuilt on the new head.
+const commitFiles = async (octokit, options) => {
+  const { attempts = 3, branch = 'main' } = options;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptCommit(octokit, { ...options, branch });
+    } catch (error) {
+      const retryable = error.stage === 'ref' && ([409, 422].includes(error.cause.status) || isTransient(error.cause));
+      if (attempt >= attempts || !retryable) throw error;
+      await sleep(500 * attempt);
+    }
+  }
+};
+
+module.exports = { commitFiles, gitBlobSha, mapLimit, withRetry, CommitError };
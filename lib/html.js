@@ -0,0 +1,63 @@
+// Escaping helpers for building pages. Everything interpolated into an `html` template is
+// escaped as HTML text unless it is already SafeHtml, so user input is never parsed as markup
+// and, since each value is substituted exactly once, never scanned again for placeholders.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Mark markup that is trusted as-is
+const raw = value => new SafeHtml(String(value));
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text for an element body
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Escape a value for a quoted attribute: on top of the text escapes, backticks and
+// control characters become character references as well
+const escapeAttr = value =>
+  String(value).replace(/[&<>"'`\u0000-\u001f\u007f]/g, char =>
+    HTML_ESCAPES[char] || `&#x${char.charCodeAt(0).toString(16)};`
+  );
+
+// Link schemes a page may point to; relative links (./file, #anchor, /path) are always fine
+const ALLOWED_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// The URL if its scheme is allowed, otherwise a harmless '#'. Browsers ignore control
+// characters and whitespace inside a scheme ("java\tscript:"), so those are removed first.
+const safeUrl = (value, { schemes = ALLOWED_SCHEMES } = {}) => {
+  const trimmed = String(value || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+  if (!trimmed) return '#';
+  if (/^(\.{0,2}\/|#|\?)/.test(trimmed) && !trimmed.startsWith('//')) return trimmed;
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(trimmed);
+  return scheme && schemes.includes(scheme[0].toLowerCase()) ? trimmed : '#';
+};
+
+// Interpolation helpers for attribute and URL contexts
+const attr = value => raw(escapeAttr(value));
+const url = (value, options) => raw(escapeAttr(safeUrl(value, options)));
+
+// JSON that can sit inside a <script> element without closing it. Markup characters and
+// quotes are written as \u escapes, which JSON and JavaScript read back the same.
+const scriptJson = value =>
+  raw(JSON.stringify(value).replace(/[<>&'\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`));
+
+const interpolate = (value) => {
+  if (value === undefined || value === null || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  return escapeHtml(value);
+};
+
+// Tagged template that escapes every interpolated value as HTML text
+const html = (strings, ...values) =>
+  raw(strings.reduce((result, string, index) => result + interpolate(values[index - 1]) + string));
+
+module.exports = { SafeHtml, html, raw, attr, url, scriptJson, escapeHtml, escapeAttr, safeUrl };
@@ -0,0 +1,36 @@
+const fsSync = require('fs');
+const path = require('path');
+
+// Catalog every other locale is checked against
+const DEFAULT_LOCALE = 'en';
+
+// Load the UI string catalogs in a directory of JSON files, keyed by file name (a language
+// tag such as "en" or "pt-BR"). Like themes, a catalog missing strings stops the server
+// from starting rather than producing pages with holes in them.
+const loadLocales = (dir) => {
+  const read = file => JSON.parse(fsSync.readFileSync(path.join(dir, file), 'utf8'));
+  const reference = Object.keys(read(`${DEFAULT_LOCALE}.json`).strings);
+  const locales = new Map();
+  for (const file of fsSync.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const id = path.basename(file, '.json');
+    const locale = read(file);
+    const strings = locale.strings || {};
+    const missing = reference.filter(key => typeof strings[key] !== 'string');
+    const problems = [
+      ...(missing.length ? [`Missing strings: ${missing.join(', ')}`] : []),
+      ...(['ltr', 'rtl'].includes(locale.dir || 'ltr') ? [] : ['dir must be "ltr" or "rtl"']),
+    ];
+    if (problems.length) {
+      throw new Error(`Invalid locale ${file}: ${problems.join('; ')}`);
+    }
+    locales.set(id, { id, name: locale.name || id, dir: locale.dir || 'ltr', strings });
+  }
+  return locales;
+};
+
+// A function looking up a locale's strings, filling {placeholders} from `params` in a
+// single pass so values that contain braces are left alone
+const translator = locale => (key, params = {}) =>
+  (locale.strings[key] || key).replace(/{(\w+)}/g, (match, name) => (name in params ? String(params[name]) : match));
+
+module.exports = { DEFAULT_LOCALE, loadLocales, translator };
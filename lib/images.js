@@ -0,0 +1,72 @@
+const sharp = require('sharp');
+const { ValidationError } = require('./errors');
+const { json, number, object } = require('./schema');
+
+// Widths the headshot is published in; the page shows it at 300px, 200px on small screens
+const HEADSHOT_WIDTHS = [150, 300, 600];
+
+// Decoding stops past this many pixels, so a small file can't expand into a huge bitmap
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+// Where to centre the square crop, as fractions of the width and height
+const focalPointField = json(object({
+  x: number({ required: true, min: 0, max: 1 }),
+  y: number({ required: true, min: 0, max: 1 }),
+}));
+
+const imageError = (code, message) => ValidationError.fromFields([{ field: 'image', code, message }]);
+
+// Published file name of one headshot version
+const headshotFile = (width, format) => `headshot-${width}.${format}`;
+
+// Decode an uploaded headshot, crop it to a square around the focal point (the centre by
+// default) and resize it into every published width as WebP and JPEG. Nothing is copied
+// from the upload but the pixels, so EXIF data such as GPS positions never leaves the
+// server. Returns [{ path, content }] with base64 content, like the other published files.
+const processHeadshot = async (input, { focalPoint } = {}) => {
+  const errors = [];
+  const { x = 0.5, y = 0.5 } = focalPointField(focalPoint, 'focalPoint', errors) || {};
+  if (errors.length) throw ValidationError.fromFields(errors);
+
+  let square;
+  try {
+    const metadata = await sharp(input).metadata();
+    if (!['jpeg', 'png'].includes(metadata.format)) {
+      throw imageError('invalid_format', 'Profile image must be a JPEG or PNG file');
+    }
+
+    // EXIF orientations 5-8 turn the image on its side
+    const [width, height] = metadata.orientation >= 5
+      ? [metadata.height, metadata.width]
+      : [metadata.width, metadata.height];
+    const size = Math.min(width, height);
+    const offset = (center, length) => Math.round(Math.min(Math.max(center * length - size / 2, 0), length - size));
+
+    // Decode the whole file once, failing on corrupt data, down to the largest square
+    const largest = HEADSHOT_WIDTHS[HEADSHOT_WIDTHS.length - 1];
+    square = await sharp(input, { failOn: 'error', limitInputPixels: MAX_PIXELS })
+      .rotate()
+      .extract({ left: offset(x, width), top: offset(y, height), width: size, height: size })
+      .resize(largest, largest)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    if (/pixel limit/i.test(error.message)) throw imageError('too_large', 'Profile image has too many pixels');
+    throw imageError('invalid_format', 'Profile image could not be read as an image');
+  }
+
+  const files = [];
+  for (const width of HEADSHOT_WIDTHS) {
+    const resized = () => sharp(square.data, { raw: square.info }).resize(width, width);
+    const webp = await resized().webp({ quality: 80 }).toBuffer();
+    const jpeg = await resized().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+    files.push(
+      { path: headshotFile(width, 'webp'), content: webp.toString('base64') },
+      { path: headshotFile(width, 'jpg'), content: jpeg.toString('base64') },
+    );
+  }
+  return files;
+};
+
+module.exports = { HEADSHOT_WIDTHS, headshotFile, processHeadshot };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+
+// Default job store: keeps jobs in process memory and forgets finished ones after `ttl`.
+// Any object with the same async create/get/update/remove methods can be used instead.
+class MemoryJobStore {
+  constructor({ ttl = 60 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    this.jobs = new Map();
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  async get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, fields);
+    return job;
+  }
+
+  async remove(id) {
+    return this.jobs.delete(id);
+  }
+
+  sweep() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) this.jobs.delete(id);
+    }
+  }
+}
+
+const publicJob = ({ id, type, userId, status, stage, progress, result, error, createdAt, updatedAt, finishedAt }) => ({
+  id,
+  type,
+  userId,
+  status,
+  stage,
+  progress,
+  result,
+  error,
+  createdAt,
+  updatedAt,
+  finishedAt,
+});
+
+// Runs background work as jobs and announces every change as an `update:<id>` event
+class JobManager extends EventEmitter {
+  constructor({ store = new MemoryJobStore(), logger = createLogger() } = {}) {
+    super();
+    this.store = store;
+    this.logger = logger;
+    this.running = new Set(); // Promises of jobs still running
+    this.setMaxListeners(0);
+  }
+
+  async update(id, fields) {
+    const job = await this.store.update(id, { ...fields, updatedAt: new Date().toISOString() });
+    if (job) this.emit(`update:${id}`, publicJob(job));
+    return job;
+  }
+
+  // Create a job and start `run` without waiting for it. `run` receives a report(stage, extra) callback
+  // and its resolved value becomes the job result; a thrown error fails the job. `userId` records
+  // who started it.
+  async start(type, run, { userId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = await this.store.create({
+      id: crypto.randomBytes(12).toString('hex'),
+      type,
+      userId,
+      status: 'running',
+      stage: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    });
+
+    const report = (stage, extra = {}) => this.update(job.id, { stage, progress: null, ...extra });
+    const running = new Promise(resolve => setImmediate(resolve)).then(async () => {
+      try {
+        const result = await run(report);
+        await this.update(job.id, { status: 'done', stage: 'done', progress: null, result, finishedAt: new Date().toISOString() });
+      } catch (error) {
+        await this.update(job.id, {
+          status: 'failed',
+          stage: 'failed',
+          error: { message: error.message || 'Job failed', ...error.details },
+          finishedAt: new Date().toISOString(),
+        }).catch(storeError => this.logger.error('Error recording job failure', { jobId: job.id, error: storeError }));
+      }
+    });
+    this.running.add(running);
+    running.then(() => this.running.delete(running));
+    return publicJob(job);
+  }
+
+  // Wait for the jobs running now to finish, for at most `timeout` ms. Resolves to
+  // whether they all did.
+  async drain(timeout = Infinity) {
+    let timer;
+    const expired = new Promise((resolve) => {
+      if (Number.isFinite(timeout)) timer = setTimeout(resolve, timeout);
+    });
+    await Promise.race([Promise.all([...this.running]), expired]);
+    clearTimeout(timer);
+    return this.running.size === 0;
+  }
+
+  async get(id) {
+    const job = await this.store.get(id);
+    return job ? publicJob(job) : null;
+  }
+
+  // Call listener with each update to the job until the returned function is called
+  subscribe(id, listener) {
+    this.on(`update:${id}`, listener);
+    return () => this.off(`update:${id}`, listener);
+  }
+}
+
+module.exports = { JobManager, MemoryJobStore };
@@ -0,0 +1,24 @@
+// Structured logs: one JSON object per line, errors on their own stream. Extra fields are
+// merged into the entry; an `error` field is reduced to what helps tracking it down,
+// along with the error that caused it, if any.
+const describeError = ({ message, status, stack, cause }) => ({
+  message,
+  status,
+  stack,
+  cause: cause instanceof Error ? describeError(cause) : undefined,
+});
+
+const createLogger = ({ out = process.stdout, err = process.stderr } = {}) => {
+  const write = (stream, level, message, { error, ...fields } = {}) => {
+    const entry = { time: new Date().toISOString(), level, message, ...fields };
+    if (error) entry.error = describeError(error);
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+  return {
+    info: (message, fields) => write(out, 'info', message, fields),
+    warn: (message, fields) => write(err, 'warn', message, fields),
+    error: (message, fields) => write(err, 'error', message, fields),
+  };
+};
+
+module.exports = { createLogger };
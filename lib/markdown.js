@@ -0,0 +1,26 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { raw } = require('./html');
+
+// Paragraphs, line breaks, emphasis, lists, quotes, inline code and links; raw HTML in the
+// source is shown as text and headings, images and tables are not available
+const md = new MarkdownIt('zero', { html: false, linkify: true, breaks: true })
+  .enable(['paragraph', 'newline', 'emphasis', 'strikethrough', 'list', 'blockquote', 'backticks', 'link', 'autolink', 'linkify', 'escape']);
+
+// Whatever markdown-it produces is still passed through an allow-list before it reaches a page
+const sanitizeOptions = {
+  allowedTags: ['p', 'br', 'strong', 'em', 's', 'code', 'ul', 'ol', 'li', 'blockquote', 'a'],
+  allowedAttributes: { a: ['href', 'target', 'rel'], ol: ['start'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  // Text comes back with only &, < and > escaped; quotes are escaped too, as escapeHtml does
+  textFilter: text => text.replace(/"/g, '&quot;').replace(/'/g, '&#39;'),
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' }),
+  },
+};
+
+// Render user Markdown into the limited, sanitized HTML subset used on portfolio pages
+const renderMarkdown = text => raw(sanitizeHtml(md.render(String(text || '')), sanitizeOptions));
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { JsonFileStore } = require('./store');
+
+// Turn a display name into a URL-safe slug
+const slugify = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'portfolio';
+
+// Removed portfolios whose id stays reserved are kept as tombstones
+const live = portfolio => (portfolio && !portfolio.removedAt ? portfolio : null);
+
+// Edit tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const createEditToken = () => crypto.randomBytes(24).toString('hex');
+
+const verifyEditToken = (portfolio, token) => {
+  if (!portfolio || !token) return false;
+  const expected = Buffer.from(portfolio.editTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Publishes kept in a portfolio's history, newest last
+const HISTORY_LIMIT = 20;
+
+// Default portfolio store: keeps every portfolio in one JSON file. A portfolio holds the
+// input it was last published from, its owner, target state (such as the repo name) and
+// publish history. Any object with the same async get/list/create/update/recordPublish/remove/ping
+// methods can be used instead, such as one backed by a database.
+class PortfolioStore extends JsonFileStore {
+  async get(id) {
+    const portfolios = await this.read();
+    return live(portfolios[id]);
+  }
+
+  // A user's portfolios, most recently updated first
+  async list(userId) {
+    const portfolios = await this.read();
+    return Object.values(portfolios)
+      .filter(portfolio => live(portfolio) && portfolio.userId === userId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Reserve a unique id derived from the name and store the new portfolio under it
+  create(name, fields) {
+    return this.transaction((portfolios) => {
+      const base = slugify(name);
+      let id = base;
+      for (let n = 2; portfolios[id]; n++) id = `${base}-${n}`;
+      const now = new Date().toISOString();
+      portfolios[id] = { ...fields, id, createdAt: now, updatedAt: now };
+      return portfolios[id];
+    });
+  }
+
+  update(id, fields) {
+    return this.transaction((portfolios) => {
+      if (!live(portfolios[id])) return null;
+      portfolios[id] = { ...portfolios[id], ...fields, id, updatedAt: new Date().toISOString() };
+      return portfolios[id];
+    });
+  }
+
+  // Note a successful publish and the input it was made from
+  recordPublish(id, { input, url, changed, generatedFiles }) {
+    return this.transaction((portfolios) => {
+      if (!live(portfolios[id])) return null;
+      const now = new Date().toISOString();
+      const history = [...(portfolios[id].history || []), { publishedAt: now, url, changed }].slice(-HISTORY_LIMIT);
+      portfolios[id] = { ...portfolios[id], input, url, generatedFiles, publishedAt: now, history, updatedAt: now };
+      return portfolios[id];
+    });
+  }
+
+  // Forget a portfolio. Once its site was published somewhere the id stays reserved by a
+  // tombstone with `keepId`, so a new portfolio can't take over its repository name.
+  remove(id, { keepId = false } = {}) {
+    return this.transaction((portfolios) => {
+      const existed = Boolean(live(portfolios[id]));
+      if (keepId) portfolios[id] = { id, removedAt: new Date().toISOString() };
+      else delete portfolios[id];
+      return existed;
+    });
+  }
+}
+
+module.exports = { PortfolioStore, slugify, hashToken, createEditToken, verifyEditToken };
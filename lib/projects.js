@@ -0,0 +1,173 @@
+const { Octokit } = require('@octokit/rest');
+const { UpstreamError, ValidationError } = require('./errors');
+const { mapLimit, withRetry } = require('./github');
+const { array, boolean, json, number, object, string, url, validate } = require('./schema');
+
+// Most repositories one import may add, the same as the projects field allows
+const MAX_IMPORTED = 30;
+
+// Languages shown per project, largest first
+const MAX_LANGUAGES = 3;
+
+// Which of a GitHub user's repositories to show as projects: those tagged with any of
+// `topics`, with at least `minStars` stars, or only the pinned ones, `max` at most
+const githubProjectsField = json(object({
+  username: string({
+    required: true,
+    max: 39,
+    pattern: /^[a-z\d](?:[a-z\d]|-(?=[a-z\d]))*$/i,
+    message: 'githubProjects.username must be a GitHub username',
+  }),
+  topics: array(string({ required: true, max: 50 }), { max: 20 }),
+  minStars: number({ min: 0, integer: true }),
+  pinnedOnly: boolean(),
+  max: number({ min: 1, max: MAX_IMPORTED, integer: true }),
+}));
+
+// Pinned repositories are only reachable through the GraphQL API
+const PINNED_QUERY = `query ($login: String!) {
+  user(login: $login) {
+    pinnedItems(first: 6, types: REPOSITORY) {
+      nodes {
+        ... on Repository {
+          name
+          description
+          url
+          homepageUrl
+          stargazerCount
+          repositoryTopics(first: 20) { nodes { topic { name } } }
+          languages(first: ${MAX_LANGUAGES}, orderBy: { field: SIZE, direction: DESC }) { nodes { name } }
+        }
+      }
+    }
+  }
+}`;
+
+const usernameError = (code, message) => ValidationError.fromFields([{ field: 'githubProjects.username', code, message }]);
+
+// GitHub failing or rate limiting an import, reported as the githubProjects field's problem
+const githubError = (cause) => {
+  const rateLimited = cause.status === 429
+    || (cause.status === 403 && /rate limit/i.test(cause.message))
+    || (cause.errors || []).some(problem => problem.type === 'RATE_LIMITED');
+  const [code, status, message] = rateLimited
+    ? ['rate_limited', 503, 'GitHub is rate limiting requests, so githubProjects could not be imported; try again later']
+    : ['unavailable', 502, 'GitHub could not be reached to import githubProjects; try again later'];
+  return new UpstreamError(message, { status, fields: [{ field: 'githubProjects', code, message }], cause });
+};
+
+// Homepages are whatever the owner typed, so only proper web links are kept
+const webLink = value => validate(url(), value || undefined).value;
+
+const pinnedRepos = async (octokit, username) => {
+  let user;
+  try {
+    ({ user } = await withRetry(() => octokit.graphql(PINNED_QUERY, { login: username })));
+  } catch (error) {
+    if (!(error.errors || []).some(problem => problem.type === 'NOT_FOUND')) throw error;
+  }
+  if (!user) throw usernameError('not_found', `GitHub user ${username} was not found`);
+  return user.pinnedItems.nodes.map(repo => ({
+    name: repo.name,
+    description: repo.description,
+    link: webLink(repo.homepageUrl) || repo.url,
+    stars: repo.stargazerCount,
+    topics: repo.repositoryTopics.nodes.map(node => node.topic.name),
+    languages: repo.languages.nodes.map(node => node.name),
+  }));
+};
+
+// The user's own repositories, leaving out forks and archived ones; languages are
+// fetched later, for the repositories that make the cut
+const ownedRepos = async (octokit, username) => {
+  let data;
+  try {
+    ({ data } = await withRetry(() =>
+      octokit.repos.listForUser({ username, type: 'owner', sort: 'pushed', per_page: 100 })
+    ));
+  } catch (error) {
+    if (error.status === 404) throw usernameError('not_found', `GitHub user ${username} was not found`);
+    throw error;
+  }
+  return data
+    .filter(repo => !repo.fork && !repo.archived)
+    .map(repo => ({
+      name: repo.name,
+      description: repo.description,
+      link: webLink(repo.homepage) || repo.html_url,
+      stars: repo.stargazers_count,
+      topics: repo.topics || [],
+      owner: repo.owner.login,
+    }));
+};
+
+// Fetches a user's GitHub repositories as entries for the projects section. Results are
+// cached per request for `ttl`, so previewing the same portfolio again doesn't go back
+// to the API.
+const createProjectImporter = ({ ttl = 10 * 60 * 1000, maxEntries = 200, Octokit: Client = Octokit } = {}) => {
+  const cache = new Map(); // request key -> { expiresAt, projects }
+
+  const fetchProjects = async ({ username, topics = [], minStars = 0, pinnedOnly = false, max = 6 }, { token }) => {
+    if (pinnedOnly && !token) {
+      throw ValidationError.fromFields([{
+        field: 'githubProjects.pinnedOnly',
+        code: 'unavailable',
+        message: 'Pinned repositories can only be imported when signed in with GitHub',
+      }]);
+    }
+    const octokit = new Client(token ? { auth: token } : {});
+    const wanted = topics.map(topic => topic.toLowerCase());
+
+    // Pinned repositories keep the order the user gave them, the rest go by stars.
+    // Repositories without a description are passed over, as projects without one are.
+    const candidates = pinnedOnly
+      ? await pinnedRepos(octokit, username)
+      : (await ownedRepos(octokit, username)).sort((a, b) => b.stars - a.stars);
+    const repos = candidates
+      .filter(repo => repo.description && repo.stars >= minStars)
+      .filter(repo => !wanted.length || wanted.some(topic => repo.topics.includes(topic)))
+      .slice(0, max);
+
+    return mapLimit(repos, 4, async (repo) => {
+      let { languages } = repo;
+      if (!languages) {
+        const { data } = await withRetry(() => octokit.repos.listLanguages({ owner: repo.owner, repo: repo.name }));
+        languages = Object.entries(data).sort((a, b) => b[1] - a[1]).slice(0, MAX_LANGUAGES).map(([name]) => name);
+      }
+      return {
+        title: repo.name,
+        description: repo.description,
+        link: repo.link,
+        languages,
+        stars: repo.stars,
+      };
+    });
+  };
+
+  // Validate the githubProjects field of a payload and return the projects it asks for,
+  // or an empty list when it is not set. `token` is used when given, for the higher rate
+  // limit and for pinned repositories.
+  return async (value, { token } = {}) => {
+    const errors = [];
+    const spec = githubProjectsField(value, 'githubProjects', errors);
+    if (errors.length) throw ValidationError.fromFields(errors);
+    if (!spec) return [];
+
+    const key = JSON.stringify({ ...spec, username: spec.username.toLowerCase() });
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.projects;
+
+    let projects;
+    try {
+      projects = await fetchProjects(spec, { token });
+    } catch (error) {
+      throw error instanceof ValidationError ? error : githubError(error);
+    }
+    cache.delete(key);
+    cache.set(key, { expiresAt: Date.now() + ttl, projects });
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    return projects;
+  };
+};
+
+module.exports = { createProjectImporter };
@@ -0,0 +1,40 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Writes the site into a local directory, e.g. one served by nginx, one folder per portfolio
+const createFilesystemPublisher = ({ dir, baseUrl }) => ({
+  name: 'filesystem',
+
+  siteUrl: portfolio => (baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${portfolio.id}/` : undefined),
+
+  async publish({ portfolio, files, removed = [], report }) {
+    const siteDir = path.join(dir, portfolio.id);
+    const changed = [];
+
+    for (const [index, file] of files.entries()) {
+      const target = path.join(siteDir, file.path);
+      const content = Buffer.from(file.content, 'base64');
+      const current = await fs.readFile(target).catch(() => null);
+      if (!current || !current.equals(content)) {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+        changed.push(file.path);
+      }
+      await report('writing', { progress: { current: index + 1, total: files.length } });
+    }
+    for (const file of removed) {
+      const target = path.join(siteDir, file);
+      if (await fs.rm(target).then(() => true, () => false)) changed.push(file);
+    }
+
+    return { url: this.siteUrl(portfolio), path: siteDir, changed };
+  },
+
+  // Nothing is kept for an archive here, so either way the site's folder goes
+  async unpublish({ portfolio }) {
+    await fs.rm(path.join(dir, portfolio.id), { recursive: true, force: true });
+    return { action: 'deleted' };
+  },
+});
+
+module.exports = createFilesystemPublisher;
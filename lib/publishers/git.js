@@ -0,0 +1,60 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const run = promisify(execFile);
+
+// Fill {id} in a configured URL template
+const fill = (template, portfolio) => template.replace(/{id}/g, portfolio.id);
+
+// Pushes the site to any Git remote, for self-hosting behind a Git-based deploy.
+// `remote` and `siteUrl` may contain {id}, e.g. git@example.com:sites/{id}.git
+const createGitPublisher = ({ remote, branch = 'main', siteUrl, authorName = 'ePortfolio', authorEmail = 'eportfolio@localhost' }) => ({
+  name: 'git',
+
+  siteUrl: portfolio => (siteUrl ? fill(siteUrl, portfolio) : undefined),
+
+  async publish({ portfolio, files, removed = [], report }) {
+    const remoteUrl = fill(remote, portfolio);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'eportfolio-git-'));
+    const git = (...args) =>
+      run('git', ['-c', `user.name=${authorName}`, '-c', `user.email=${authorEmail}`, ...args], { cwd: workDir }).catch((error) => {
+        throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+      });
+
+    try {
+      // Start from the published branch if there is one, otherwise from an empty repository
+      try {
+        await git('clone', '--depth', '1', '--branch', branch, remoteUrl, '.');
+      } catch (error) {
+        await git('init');
+        await git('checkout', '-b', branch);
+        await git('remote', 'add', 'origin', remoteUrl);
+      }
+
+      for (const file of files) {
+        const target = path.join(workDir, file.path);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, Buffer.from(file.content, 'base64'));
+      }
+
+      if (removed.length) await git('rm', '-q', '--ignore-unmatch', '--', ...removed);
+      await git('add', '-A');
+      const { stdout } = await git('status', '--porcelain');
+      const changed = stdout.split('\n').filter(Boolean).map(line => line.slice(3));
+      if (changed.length) {
+        await report('committing', { progress: { current: changed.length, total: changed.length } });
+        await git('commit', '-m', portfolio.publishedAt ? 'Update portfolio' : 'Publish portfolio');
+        await git('push', 'origin', `HEAD:refs/heads/${branch}`);
+      }
+
+      return { url: this.siteUrl(portfolio), changed };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  },
+});
+
+module.exports = createGitPublisher;
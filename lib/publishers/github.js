@@ -0,0 +1,101 @@
+const { Octokit } = require('@octokit/rest');
+const { commitFiles } = require('../github');
+
+const repoNameOf = portfolio => portfolio.repoName || `eportfolio-${portfolio.id}`;
+
+// Client for the account to work in: the user's own, or else the server's
+const connect = (account, { user, token, Client }) => {
+  const { login, token: auth } = account || { login: user, token };
+  if (!login || !auth) throw new Error('Sign in with GitHub to publish to GitHub Pages');
+  return { login, octokit: new Client({ auth }) };
+};
+
+// A repository or Pages site that is already gone needs no taking down
+const unlessMissing = promise => promise.catch((error) => {
+  if (error.status !== 404) throw error;
+});
+
+// Publishes to a GitHub repository served through GitHub Pages, under the GitHub account
+// of whoever publishes. `token` and `user`, when configured, are the server's own account,
+// used for anyone who didn't sign in with GitHub.
+const createGithubPublisher = ({ token, user, Octokit: Client = Octokit }) => ({
+  name: 'github',
+
+  // Whether there is an account to publish to: the user's own or the server's
+  canPublish(account) {
+    return Boolean(account || (user && token));
+  },
+
+  siteUrl(portfolio, account) {
+    const owner = portfolio.owner || (account ? account.login : user);
+    return portfolio.url || (owner ? `https://${owner}.github.io/${repoNameOf(portfolio)}` : undefined);
+  },
+
+  async publish({ portfolio, files, removed, report, saveState, account }) {
+    const { login, octokit } = connect(account, { user, token, Client });
+    let { repoName, url } = portfolio;
+    const owner = portfolio.owner || login;
+
+    if (!repoName) {
+      repoName = repoNameOf(portfolio);
+      url = `https://${login}.github.io/${repoName}`;
+
+      // Create a new GitHub repository under the user's account
+      await octokit.repos.createForAuthenticatedUser({
+        name: repoName,
+        auto_init: true,
+        homepage: url,
+      }).catch((error) => {
+        if (error.status !== 422 || !/already exists/i.test(error.message)) throw error;
+        throw new Error(`A repository named ${repoName} already exists on GitHub account ${login}; rename or delete it and publish again`);
+      });
+      await saveState({ owner: login, repoName, url });
+      await report('repo_created');
+    }
+
+    // Enable GitHub Pages. The repository is recorded before this, so until it has worked
+    // once every publish tries again; a site that already exists counts as enabled.
+    if (!portfolio.pagesEnabled) {
+      try {
+        await octokit.repos.createPagesSite({
+          owner,
+          repo: repoName,
+          source: { branch: 'main', path: '/' },
+        });
+      } catch (error) {
+        if (error.status !== 409) throw new Error('Failed to enable GitHub Pages', { cause: error });
+      }
+      await saveState({ pagesEnabled: true });
+      await report('pages_enabled');
+    }
+
+    // Commit files to GitHub; only files that changed go into the commit
+    const { changed } = await commitFiles(octokit, {
+      owner,
+      repo: repoName,
+      files,
+      removed,
+      message: portfolio.repoName ? 'Update portfolio' : 'Publish portfolio',
+      onProgress: ({ current, total }) => report('committing', { progress: { current, total } }),
+    });
+    return { url, changed };
+  },
+
+  // Take the site down by turning off Pages and archiving the repository, which keeps it
+  // read-only on the account, or by deleting the repository outright
+  async unpublish({ portfolio, account, mode }) {
+    if (!portfolio.repoName) return { action: null };
+    const { octokit } = connect(account, { user, token, Client });
+    const repo = { owner: portfolio.owner, repo: portfolio.repoName };
+
+    if (mode === 'delete') {
+      await unlessMissing(octokit.repos.delete(repo));
+      return { action: 'deleted' };
+    }
+    await unlessMissing(octokit.repos.deletePagesSite(repo));
+    await unlessMissing(octokit.repos.update({ ...repo, archived: true }));
+    return { action: 'archived' };
+  },
+});
+
+module.exports = createGithubPublisher;
@@ -0,0 +1,37 @@
+const createFilesystemPublisher = require('./filesystem');
+const createGitPublisher = require('./git');
+const createGithubPublisher = require('./github');
+const createZipPublisher = require('./zip');
+
+// A publisher takes the files of a rendered site and makes them reachable somewhere.
+// Each one is an object with a `name` and
+//   publish({ portfolio, files, removed, report, saveState, account }) -> { url?, artifact?, changed }
+//   siteUrl(portfolio, account) -> the URL the site will be served from, if it is known up front
+//   unpublish({ portfolio, account, mode }) -> { action }, optional: takes the site down,
+//     archiving what it can when `mode` is 'archive' and removing it all when 'delete'
+//   canPublish(account) -> boolean, optional: whether a user with that account can publish
+//   stateless -> true, optional: each publish replaces the whole site, so an update has to
+//     include every upload again
+// where `files` are { path, content } pairs with base64 content, `removed` the paths of
+// generated files the last publish had and this one doesn't, `report(stage, extra)`
+// feeds job progress and `saveState(fields)` records anything a later update needs
+// (a repo name, say) on the portfolio as soon as it exists. `account` is the publishing
+// user's GitHub account, { login, token }, when they signed in with GitHub. The site URL
+// lets pages carry canonical links and a sitemap before they are published.
+const factories = {
+  github: createGithubPublisher,
+  zip: createZipPublisher,
+  filesystem: createFilesystemPublisher,
+  git: createGitPublisher,
+};
+
+// Build the publishers that have configuration, keyed by target name
+const createPublishers = (config) => {
+  const publishers = new Map();
+  for (const [name, factory] of Object.entries(factories)) {
+    if (config[name]) publishers.set(name, factory(config[name]));
+  }
+  return publishers;
+};
+
+module.exports = { createPublishers };
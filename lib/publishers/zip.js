@@ -0,0 +1,83 @@
+const archiver = require('archiver');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Bundles the site into a ZIP file that can be downloaded for a while
+const createZipPublisher = ({ dir, ttl = 60 * 60 * 1000 }) => {
+  const owners = new Map(); // bundle name -> id of the user who published it
+
+  // Sweep expired bundles every minute
+  setInterval(async () => {
+    const names = await fs.promises.readdir(dir).catch(() => []);
+    for (const name of names) {
+      const file = path.join(dir, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat && stat.mtimeMs + ttl <= Date.now()) {
+        owners.delete(name);
+        await fs.promises.unlink(file).catch(() => {});
+      }
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    name: 'zip',
+    dir,
+    ttl,
+
+    // Every bundle is built from scratch, with nothing kept from the last one
+    stateless: true,
+
+    // A bundle can be hosted anywhere
+    siteUrl: () => undefined,
+
+    // Where a bundle `userId` published is kept, or null for anyone else's
+    artifactFile(name, userId) {
+      return owners.has(name) && owners.get(name) === userId ? path.join(dir, name) : null;
+    },
+
+    async publish({ portfolio, files, report }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${portfolio.id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+      const file = path.join(dir, name);
+
+      const output = fs.createWriteStream(file);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const written = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+      });
+      written.catch(() => {}); // Awaited below; a failure while adding files is handled there
+      archive.pipe(output);
+      try {
+        for (const [index, entry] of files.entries()) {
+          archive.append(Buffer.from(entry.content, 'base64'), { name: entry.path });
+          await report('writing', { progress: { current: index + 1, total: files.length } });
+        }
+        archive.finalize();
+        await written;
+      } catch (error) {
+        archive.abort();
+        // Remove the partial file once the stream has let go of it
+        if (!output.closed) await new Promise(resolve => output.destroy().once('close', resolve));
+        await fs.promises.unlink(file).catch(() => {});
+        throw error;
+      }
+
+      const { size } = await fs.promises.stat(file);
+      owners.set(name, portfolio.userId);
+      return {
+        artifact: {
+          name,
+          size,
+          downloadUrl: `/api/artifacts/${name}`,
+          expiresAt: new Date(Date.now() + ttl).toISOString(),
+        },
+        changed: files.map(entry => entry.path),
+      };
+    },
+  };
+};
+
+module.exports = createZipPublisher;
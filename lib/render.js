@@ -0,0 +1,161 @@
+const { bundledAssets } = require('./assets');
+const { ValidationError } = require('./errors');
+const { DEFAULT_LOCALE, translator } = require('./i18n');
+const { seoTags, siteFiles } = require('./seo');
+const { baseTemplate } = require('./template');
+const { resolvePalette } = require('./themes');
+const { validatePortfolio } = require('./validation');
+
+// Render one language version of the page from a validated payload. `page` is { id, path }
+// with the locale and where the page sits under the site root; `pages` lists every version.
+const renderPage = ({ values, sections: chosenSections }, { themes, locales, page, pages, site, headshot }) => {
+  const { name, profession, tagline, summary, about, email, linkedin, phone } = values;
+  const locale = locales.get(page.id);
+  const t = translator(locale);
+  const root = page.path ? '../' : './';
+
+  // Lay the user's own colors, if any, over the theme
+  const { colors, problems } = resolvePalette(themes.get(values.template), values.palette);
+  if (problems.length) {
+    throw ValidationError.fromFields(problems.map(({ key, code, message }) => ({
+      field: key ? `palette.${key}` : 'palette',
+      code,
+      message,
+    })));
+  }
+
+  const skillsSection = chosenSections.find(section => section.id === 'skills');
+  const data = {
+    name,
+    profession,
+    tagline,
+    summary,
+    about,
+    email,
+    linkedin: linkedin || 'https://linkedin.com',
+    phone,
+    keywords: skillsSection ? skillsSection.input.skills.join(', ') : '',
+  };
+
+  // What the page shows, with placeholders for anything left empty
+  const content = {
+    name: data.name || t('placeholder.name'),
+    profession: data.profession || t('placeholder.profession'),
+    tagline: data.tagline || t('placeholder.tagline'),
+    summary: data.summary || t('placeholder.summary'),
+    about: data.about || t('placeholder.about'),
+    email: data.email || 'your.email@example.com',
+    linkedin: data.linkedin || 'https://linkedin.com',
+    phone: data.phone || t('placeholder.phone'),
+    keywords: data.keywords || 'your-keywords',
+  };
+
+  // Render the sections, leaving out any that have nothing to show
+  const sections = chosenSections
+    .map(({ id, type, input }) => ({ id, nav: t(type.nav), html: type.render(input, { content, colors, t, root, headshot }) }))
+    .filter(section => String(section.html).trim());
+
+  // Links between the language versions: absolute for search engines once the address is
+  // known, relative to this page for the switcher
+  const languages = pages.map(other => ({
+    id: other.id,
+    name: locales.get(other.id).name,
+    href: root + other.path,
+    current: other.id === page.id,
+  }));
+  const alternates = languages.map(({ id, href }, index) => ({
+    id,
+    href: site ? new URL(pages[index].path, site).href : href,
+  }));
+
+  // Search and link preview metadata, from the details the user actually gave
+  const projectsSection = chosenSections.find(section => section.id === 'projects');
+  const seo = seoTags({
+    content,
+    data,
+    linkedin,
+    skills: skillsSection ? skillsSection.input.skills : [],
+    projects: projectsSection ? projectsSection.input.filter(project => project.title && project.description) : [],
+    siteUrl: site,
+    headshot,
+    page: page.path,
+    t,
+    alternates,
+  });
+
+  const html = String(baseTemplate({
+    colors,
+    sections,
+    content,
+    assets: values.assets || 'cdn',
+    seo,
+    locale,
+    t,
+    root,
+    languages,
+  }));
+  return { html, data };
+};
+
+// Add projects imported from GitHub after the ones typed in, leaving out any the user
+// already lists with the same link
+const withImported = (validated, imported) => ({
+  ...validated,
+  sections: validated.sections.map((section) => {
+    if (section.id !== 'projects' || !imported.length) return section;
+    const links = new Set(section.input.map(project => project.link).filter(Boolean));
+    return { ...section, input: [...section.input, ...imported.filter(project => !links.has(project.link))] };
+  }),
+});
+
+// Validate a request body and render the selected theme. Text stays as the user typed it
+// in `data`; all escaping happens in the templates. The page is rendered in `locale`, and
+// once more in every language of `translations`, at <locale>/index.html, with that
+// language's content laid over the main payload. `files` lists everything to publish next
+// to the main page: other language versions, bundled fonts and scripts, robots.txt and the
+// sitemap. `siteUrl`, when the address the site will have is known, is used for canonical,
+// alternate and social links. `githubProjects` are projects already fetched for the
+// payload's githubProjects field. `headshot` says whether the site has a headshot, which
+// the about section and link previews then show.
+const renderPortfolio = (body, { themes, locales, siteUrl, githubProjects = [], headshot = false }) => {
+  const options = { themeIds: () => [...themes.keys()], localeIds: () => [...locales.keys()] };
+  const main = validatePortfolio(body, options);
+  const locale = main.values.locale || DEFAULT_LOCALE;
+  const translations = main.values.translations || {};
+
+  const pages = [
+    { id: locale, path: '' },
+    ...Object.keys(translations)
+      .filter(id => id !== locale && translations[id])
+      .map(id => ({ id, path: `${id}/` })),
+  ];
+  const site = siteUrl ? siteUrl.replace(/\/?$/, '/') : undefined;
+
+  const rendered = pages.map((page) => {
+    if (page.id === locale) return renderPage(withImported(main, githubProjects), { themes, locales, page, pages, site, headshot });
+
+    // Problems in a translation are reported under its own key
+    const overrides = Object.entries(translations[page.id]).filter(([, value]) => value !== undefined);
+    let validated;
+    try {
+      validated = validatePortfolio({ ...body, ...Object.fromEntries(overrides) }, options);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      throw ValidationError.fromFields(error.fields.map(problem => ({
+        ...problem,
+        field: `translations.${page.id}.${problem.field}`,
+        message: `translations.${page.id}: ${problem.message}`,
+      })));
+    }
+    return renderPage(withImported(validated, githubProjects), { themes, locales, page, pages, site, headshot });
+  });
+
+  const translated = rendered.slice(1).map((page, index) => ({
+    path: `${pages[index + 1].path}index.html`,
+    content: Buffer.from(page.html).toString('base64'),
+  }));
+  const assets = main.values.assets === 'bundled' ? bundledAssets() : [];
+  return { html: rendered[0].html, data: rendered[0].data, files: [...translated, ...assets, ...siteFiles(site, pages)] };
+};
+
+module.exports = { renderPortfolio };
@@ -0,0 +1,154 @@
+// A small declarative schema for request payloads. A rule is a function
+// (value, field, errors) that returns the cleaned value and pushes a
+// { field, code, message } entry onto errors for every problem it finds.
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const fail = (errors, field, code, message) => {
+  errors.push({ field, code, message });
+  return undefined;
+};
+
+// Wraps a rule so missing values are either reported or passed over
+const optional = (required, rule) => (value, field, errors) => {
+  if (isMissing(value)) {
+    return required ? fail(errors, field, 'required', `${field} is required`) : undefined;
+  }
+  return rule(value, field, errors);
+};
+
+const string = ({ required = false, min = 0, max = Infinity, pattern, code = 'invalid_format', message } = {}) =>
+  optional(required, (value, field, errors) => {
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string') return fail(errors, field, 'invalid_type', `${field} must be text`);
+    value = value.trim();
+    if (required && !value) return fail(errors, field, 'required', `${field} is required`);
+    if (value.length < min) return fail(errors, field, 'too_short', `${field} must be at least ${min} characters`);
+    if (value.length > max) return fail(errors, field, 'too_long', `${field} must be at most ${max} characters`);
+    if (pattern && !pattern.test(value)) return fail(errors, field, code, message || `${field} has an invalid format`);
+    return value;
+  });
+
+const number = ({ required = false, min = -Infinity, max = Infinity, integer = false } = {}) =>
+  optional(required, (value, field, errors) => {
+    const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+      return fail(errors, field, 'invalid_type', `${field} must be a number`);
+    }
+    if (integer && !Number.isInteger(parsed)) return fail(errors, field, 'invalid_type', `${field} must be a whole number`);
+    if (parsed < min || parsed > max) {
+      return fail(errors, field, 'out_of_range', `${field} must be between ${min} and ${max}`);
+    }
+    return parsed;
+  });
+
+const boolean = ({ required = false } = {}) =>
+  optional(required, (value, field, errors) => {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    return fail(errors, field, 'invalid_type', `${field} must be true or false`);
+  });
+
+const email = ({ required = false } = {}) =>
+  string({
+    required,
+    max: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    code: 'invalid_email',
+    message: 'Invalid email format',
+  });
+
+// Digits with the usual separators, and an optional leading +
+const phone = ({ required = false } = {}) =>
+  optional(required, (value, field, errors) => {
+    const cleaned = string({ max: 30 })(value, field, errors);
+    if (cleaned === undefined) return undefined;
+    const digits = cleaned.replace(/\D/g, '');
+    if (!/^\+?[0-9\s().-]+$/.test(cleaned) || digits.length < 7 || digits.length > 15) {
+      return fail(errors, field, 'invalid_phone', `${field} must be a phone number`);
+    }
+    return cleaned;
+  });
+
+// Absolute URLs only, limited to the given schemes and, optionally, hosts (subdomains included)
+const url = ({ required = false, schemes = ['http', 'https'], hosts } = {}) =>
+  optional(required, (value, field, errors) => {
+    const cleaned = string({ max: 2048 })(value, field, errors);
+    if (cleaned === undefined) return undefined;
+    let parsed;
+    try {
+      parsed = new URL(cleaned);
+    } catch (error) {
+      return fail(errors, field, 'invalid_url', `${field} must be a full URL`);
+    }
+    if (!schemes.includes(parsed.protocol.slice(0, -1))) {
+      return fail(errors, field, 'invalid_url', `${field} must use ${schemes.join(' or ')}`);
+    }
+    if (hosts && !hosts.some(host => parsed.hostname === host || parsed.hostname.endsWith(`.${host}`))) {
+      return fail(errors, field, 'invalid_url', `${field} must be a ${hosts.join(' or ')} URL`);
+    }
+    return parsed.href;
+  });
+
+// `choices` may be a function so the list can change while the server runs
+const oneOf = (choices, { required = false } = {}) =>
+  optional(required, (value, field, errors) => {
+    const allowed = typeof choices === 'function' ? choices() : choices;
+    if (!allowed.includes(value)) {
+      return fail(errors, field, 'invalid_choice', `${field} must be one of: ${allowed.join(', ')}`);
+    }
+    return value;
+  });
+
+const array = (item, { required = false, min = 0, max = Infinity, unique = false } = {}) =>
+  optional(required, (value, field, errors) => {
+    if (!Array.isArray(value)) return fail(errors, field, 'invalid_type', `${field} must be a list`);
+    if (value.length < min) return fail(errors, field, 'too_few', `${field} needs at least ${min} entries`);
+    if (value.length > max) return fail(errors, field, 'too_many', `${field} can have at most ${max} entries`);
+    if (unique && new Set(value).size !== value.length) {
+      return fail(errors, field, 'duplicate', `${field} cannot contain the same entry twice`);
+    }
+    return value.map((entry, index) => item(entry, `${field}[${index}]`, errors));
+  });
+
+// Unknown keys are dropped. `refine` can add checks across fields once the shape is valid.
+const object = (shape, { required = false, refine } = {}) =>
+  optional(required, (value, field, errors) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return fail(errors, field, 'invalid_type', `${field} must be an object`);
+    }
+    const before = errors.length;
+    const result = {};
+    for (const [key, rule] of Object.entries(shape)) {
+      result[key] = rule(value[key], field ? `${field}.${key}` : key, errors);
+    }
+    if (refine && errors.length === before) {
+      for (const problem of refine(result)) errors.push({ ...problem, field: field ? `${field}.${problem.field}` : problem.field });
+    }
+    return result;
+  });
+
+// Multipart forms send structured fields as JSON strings
+const json = (rule, { required = false } = {}) =>
+  optional(required, (value, field, errors) => {
+    if (typeof value !== 'string') return rule(value, field, errors);
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return fail(errors, field, 'invalid_json', `${field} must be valid JSON`);
+    }
+    return rule(parsed, field, errors);
+  });
+
+// Anything at all, left for the caller to check
+const any = () => value => value;
+
+// Run a rule over a value, returning the cleaned value and every problem found
+const validate = (rule, value) => {
+  const errors = [];
+  const result = rule(value, '', errors);
+  return { value: result, errors };
+};
+
+module.exports = { string, number, boolean, email, phone, url, oneOf, array, object, json, any, validate };
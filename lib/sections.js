@@ -0,0 +1,296 @@
+const { attr, html, url } = require('./html');
+const { HEADSHOT_WIDTHS, headshotFile } = require('./images');
+const { renderMarkdown } = require('./markdown');
+const { array, json, number, object, string, url: urlField } = require('./schema');
+
+// Layout used when a request doesn't choose its own sections
+const DEFAULT_SECTIONS = ['about', 'skills', 'projects', 'resume', 'contact'];
+
+// Schema for a JSON list field of entries with the given shape
+const entries = (shape, max) => json(array(object(shape, { required: true }), { max }));
+
+// Validated entries, with missing text left empty; escaping happens when they are rendered
+const cleanEntries = (list = []) =>
+  list.map(entry =>
+    Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, value === undefined ? '' : value]))
+  );
+
+const dateText = () => string({ max: 30 });
+
+const dateRange = (start, end, t) => (start ? `${start} – ${end || t('entry.present')}` : end);
+
+// Every published width of the headshot in one format, relative to the page's `root`
+const headshotSrcset = (format, root) => HEADSHOT_WIDTHS.map(width => `${root}${headshotFile(width, format)} ${width}w`).join(', ');
+const HEADSHOT_SIZES = '(max-width: 768px) 200px, 300px';
+
+// Timeline entry shared by experience, education and publications
+const renderEntry = ({ title, meta, dates, description, link }, index, t) => html`
+        <article class="entry" data-aos="fade-up" data-aos-delay="${100 + index * 100}">
+          <div class="entry-header">
+            <h3>${title}</h3>
+            ${dates ? html`<span class="entry-dates">${dates}</span>` : ''}
+          </div>
+          ${meta ? html`<p class="entry-meta">${meta}</p>` : ''}
+          ${description ? html`<div class="rich-text">${renderMarkdown(description)}</div>` : ''}
+          ${link ? html`<a href="${url(link)}" target="_blank" rel="noopener noreferrer">${t('entry.view')}</a>` : ''}
+        </article>`;
+
+// A project's category, or for one imported from GitHub its languages and star count
+const projectBadges = (project, t) => {
+  const badges = project.languages
+    ? [project.category, ...project.languages, project.stars && t('projects.stars', { count: project.stars })].filter(Boolean)
+    : [project.category || t('projects.general')];
+  return badges.map(badge => html`<span class="project-badge">${badge}</span>`);
+};
+
+// Every section a portfolio can show. `nav` is the catalog key of its nav label, `fields`
+// the schema of the request fields the section reads and `check` an optional list of
+// problems across them; `parse` then turns the validated values into the section's input
+// and `render` turns that into markup. Its context holds the page content, theme colors,
+// the translator `t` for the page's locale, `root`, the relative path from the page to
+// the site's root where the uploads live, and `headshot`, whether one was uploaded. A section that renders to an empty string is
+// left out of the page and the nav.
+const sectionTypes = {
+  about: {
+    nav: 'nav.about',
+    fields: {},
+    parse: () => ({}),
+    render: (input, { content, t, root, headshot }) => html`
+    <section class="section about" id="about" data-aos="slide-right">
+      ${headshot ? html`<picture>
+        <source type="image/webp" srcset="${headshotSrcset('webp', root)}" sizes="${HEADSHOT_SIZES}">
+        <img class="headshot" src="${url(root + headshotFile(300, 'jpg'))}" srcset="${headshotSrcset('jpg', root)}" sizes="${HEADSHOT_SIZES}" width="300" height="300" alt="${attr(t('about.headshotAlt'))}" loading="lazy">
+      </picture>` : ''}
+      <h2>${t('about.summary')}</h2>
+      <div class="rich-text">${renderMarkdown(content.summary)}</div>
+      <h3 class="about-heading">${t('about.heading')}</h3>
+      <div class="rich-text">${renderMarkdown(content.about)}</div>
+    </section>`,
+  },
+
+  experience: {
+    nav: 'nav.experience',
+    fields: {
+      experience: entries({
+        role: string({ required: true, max: 100 }),
+        company: string({ required: true, max: 100 }),
+        location: string({ max: 100 }),
+        start: dateText(),
+        end: dateText(),
+        description: string({ max: 2000 }),
+      }, 30),
+    },
+    parse: values => cleanEntries(values.experience),
+    render: (jobs, { t }) => jobs.length ? html`
+    <section class="section experience" id="experience" data-aos="fade-up">
+      <h2>${t('experience.heading')}</h2>
+      ${jobs.map((job, index) => renderEntry({
+        title: job.role,
+        meta: [job.company, job.location].filter(Boolean).join(' · '),
+        dates: dateRange(job.start, job.end, t),
+        description: job.description,
+      }, index, t))}
+    </section>` : '',
+  },
+
+  education: {
+    nav: 'nav.education',
+    fields: {
+      education: entries({
+        institution: string({ required: true, max: 150 }),
+        degree: string({ max: 100 }),
+        field: string({ max: 100 }),
+        start: dateText(),
+        end: dateText(),
+        description: string({ max: 2000 }),
+      }, 20),
+    },
+    parse: values => cleanEntries(values.education),
+    render: (schools, { t }) => schools.length ? html`
+    <section class="section education" id="education" data-aos="fade-up">
+      <h2>${t('education.heading')}</h2>
+      ${schools.map((school, index) => renderEntry({
+        title: [school.degree, school.field].filter(Boolean).join(', ') || school.institution,
+        meta: school.degree || school.field ? school.institution : '',
+        dates: dateRange(school.start, school.end, t),
+        description: school.description,
+      }, index, t))}
+    </section>` : '',
+  },
+
+  skills: {
+    nav: 'nav.skills',
+    fields: {
+      skills: json(array(string({ required: true, max: 50 }), { max: 50 })),
+      skillProficiencies: json(array(number({ required: true, min: 0, max: 100 }), { max: 50 })),
+    },
+    // Validate skills and proficiencies
+    check: ({ skills = [], skillProficiencies = [] }) =>
+      skills.length === skillProficiencies.length
+        ? []
+        : [{ field: 'skillProficiencies', code: 'mismatch', message: 'Number of skills and proficiencies must match' }],
+    parse: values => ({
+      skills: values.skills || [],
+      proficiencies: values.skillProficiencies || [],
+    }),
+    render: ({ skills, proficiencies }, { t }) => html`
+    <section class="section skills" id="skills" data-aos="slide-left">
+      <h2>${t('skills.heading')}</h2>
+      <div class="skills-grid">
+        ${skills.map((skill, index) => html`
+        <div class="skill-item" data-aos="fade-up" data-aos-delay="${100 + index * 100}">
+          ${skill || t('skills.fallback', { number: index + 1 })}
+          <div class="progress-bar">
+            <div class="progress level-${Math.round((proficiencies[index] || 0) / 5) * 5}"></div>
+          </div>
+        </div>`)}
+      </div>
+    </section>`,
+  },
+
+  projects: {
+    nav: 'nav.projects',
+    fields: {
+      projects: entries({
+        title: string({ max: 100 }),
+        description: string({ max: 2000 }),
+        link: urlField(),
+        category: string({ max: 50 }),
+      }, 30),
+    },
+    parse: values => cleanEntries(values.projects),
+    // Only projects with a title and description are shown, with a link if one was given
+    render: (projects, { t }) => html`
+    <section class="section projects" id="projects" data-aos="fade-up">
+      <h2>${t('projects.heading')}</h2>
+      ${projects
+        .filter(project => project.title && project.description)
+        .map((project, index) => html`
+        <article class="project" data-tilt data-tilt-max="8" data-aos="fade-up" data-aos-delay="${100 + index * 100}">
+          <div>
+            <h3>${project.title || t('projects.fallback', { number: index + 1 })}</h3>
+            <div class="rich-text">${renderMarkdown(project.description || t('projects.noDescription'))}</div>
+            ${project.link ? html`<a href="${url(project.link)}" target="_blank" rel="noopener noreferrer">${t('projects.view')}</a>` : ''}
+            ${projectBadges(project, t)}
+          </div>
+        </article>`)}
+      <p class="projects-note">${t('projects.more')}</p>
+    </section>`,
+  },
+
+  certifications: {
+    nav: 'nav.certifications',
+    fields: {
+      certifications: entries({
+        name: string({ required: true, max: 150 }),
+        issuer: string({ max: 100 }),
+        date: dateText(),
+        link: urlField(),
+      }, 30),
+    },
+    parse: values => cleanEntries(values.certifications),
+    render: (certifications, { t }) => certifications.length ? html`
+    <section class="section certifications" id="certifications" data-aos="fade-up">
+      <h2>${t('certifications.heading')}</h2>
+      <div class="card-grid">
+        ${certifications.map((certification, index) => html`
+        <div class="card" data-aos="fade-up" data-aos-delay="${100 + index * 100}">
+          <h3>${certification.name}</h3>
+          ${certification.issuer || certification.date ? html`<p class="entry-meta">${[certification.issuer, certification.date].filter(Boolean).join(' · ')}</p>` : ''}
+          ${certification.link ? html`<a href="${url(certification.link)}" target="_blank" rel="noopener noreferrer">${t('certifications.verify')}</a>` : ''}
+        </div>`)}
+      </div>
+    </section>` : '',
+  },
+
+  publications: {
+    nav: 'nav.publications',
+    fields: {
+      publications: entries({
+        title: string({ required: true, max: 200 }),
+        publisher: string({ max: 150 }),
+        date: dateText(),
+        link: urlField(),
+        description: string({ max: 2000 }),
+      }, 50),
+    },
+    parse: values => cleanEntries(values.publications),
+    render: (publications, { t }) => publications.length ? html`
+    <section class="section publications" id="publications" data-aos="fade-up">
+      <h2>${t('publications.heading')}</h2>
+      ${publications.map((publication, index) => renderEntry({
+        title: publication.title,
+        meta: publication.publisher,
+        dates: publication.date,
+        description: publication.description,
+        link: publication.link,
+      }, index, t))}
+    </section>` : '',
+  },
+
+  testimonials: {
+    nav: 'nav.testimonials',
+    fields: {
+      testimonials: entries({
+        quote: string({ required: true, max: 1000 }),
+        author: string({ required: true, max: 100 }),
+        role: string({ max: 100 }),
+      }, 20),
+    },
+    parse: values => cleanEntries(values.testimonials),
+    render: (testimonials, { t }) => testimonials.length ? html`
+    <section class="section testimonials" id="testimonials" data-aos="fade-up">
+      <h2>${t('testimonials.heading')}</h2>
+      <div class="card-grid">
+        ${testimonials.map((testimonial, index) => html`
+        <figure class="card testimonial" data-aos="fade-up" data-aos-delay="${100 + index * 100}">
+          <blockquote>“${testimonial.quote}”</blockquote>
+          <figcaption>${testimonial.author}${testimonial.role ? html`, <span class="entry-meta">${testimonial.role}</span>` : ''}</figcaption>
+        </figure>`)}
+      </div>
+    </section>` : '',
+  },
+
+  resume: {
+    nav: 'nav.resume',
+    fields: {},
+    parse: () => ({}),
+    render: (input, { t, root }) => html`
+    <section class="section resume" id="resume" data-aos="zoom-in">
+      <h2>${t('resume.heading')}</h2>
+      <div class="resume-content">
+        <p>${t('resume.text')}</p>
+        <a href="${url(`${root}resume.pdf`)}" download class="resume-button">${t('resume.download')}</a>
+      </div>
+    </section>`,
+  },
+
+  contact: {
+    nav: 'nav.contact',
+    fields: {},
+    parse: () => ({}),
+    render: (input, { content, colors, t, root }) => html`
+    <section class="section contact" id="contact" data-aos="zoom-in">
+      <h2>${t('contact.heading')}</h2>
+      <div class="contact-content">
+        <p>${t('contact.text')}</p>
+        <div class="contact-links">
+          <a href="${url(`mailto:${content.email}`)}" aria-label="${attr(t('contact.emailLabel'))}">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="${colors.buttonText}" stroke-width="2"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path><polyline points="22,6 12,13 2,6"></polyline></svg>
+            ${t('contact.email')}
+          </a>
+          <a href="${url(content.linkedin)}" target="_blank" rel="noopener noreferrer" aria-label="${attr(t('contact.linkedinLabel'))}">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="${colors.buttonText}" stroke-width="2"><path d="M16 8a6 6 0 0 1 6 6v7h-4v-7a2 2 0 0 0-2-2 2 2 0 0 0-2 2v7h-4v-7a6 6 0 0 1 6-6z"></path><rect x="2" y="9" width="4" height="12"></rect><circle cx="4" cy="4" r="2"></circle></svg>
+            ${t('contact.linkedin')}
+          </a>
+          <a href="${url(`${root}resume.pdf`)}" download aria-label="${attr(t('resume.download'))}">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="${colors.buttonText}" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="12" y1="18" x2="12" y2="12"></line><line x1="9" y1="15" x2="15" y2="15"></line></svg>
+            ${t('resume.download')}
+          </a>
+        </div>
+      </div>
+    </section>`,
+  },
+};
+
+module.exports = { sectionTypes, DEFAULT_SECTIONS };
@@ -0,0 +1,88 @@
+const { attr, html, scriptJson, url } = require('./html');
+const { headshotFile } = require('./images');
+
+// Absolute URL of a file on the published site; the site URL always ends in a slash
+const siteLink = (siteUrl, file = '') => new URL(file, siteUrl).href;
+
+// schema.org Person describing whoever the portfolio is about. Only details the user gave
+// go in, not the placeholders the page falls back to; undefined keys drop out of the JSON.
+const personSchema = ({ data, linkedin, skills, projects, siteUrl, image }) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Person',
+  name: data.name,
+  jobTitle: data.profession,
+  email: data.email ? `mailto:${data.email}` : undefined,
+  description: data.tagline || undefined,
+  url: siteUrl,
+  image,
+  sameAs: linkedin ? [linkedin] : undefined,
+  knowsAbout: skills.length ? skills : undefined,
+  subjectOf: projects.length
+    ? projects.map(project => ({
+      '@type': 'CreativeWork',
+      name: project.title,
+      description: project.description,
+      url: project.link || undefined,
+      genre: project.category || undefined,
+    }))
+    : undefined,
+});
+
+// Head tags for search engines and link previews. Open Graph needs absolute URLs, so the
+// canonical link, page URL and image are only given once the site URL is known, the image
+// only when a `headshot` is published with the page. `page` is where this page sits under
+// the site URL and `alternates` lists every language version as { id, href }, the first
+// being the default.
+const seoTags = ({ content, data, linkedin, skills, projects, siteUrl, headshot = false, page = '', t, alternates = [] }) => {
+  const title = t('title', content);
+  const description = data.tagline || t('description', content);
+  const pageUrl = siteUrl ? siteLink(siteUrl, page) : null;
+  const image = siteUrl && headshot ? siteLink(siteUrl, headshotFile(600, 'jpg')) : null;
+  return html`
+  ${pageUrl ? html`<link rel="canonical" href="${url(pageUrl)}" />
+  <meta property="og:url" content="${url(pageUrl)}" />
+  ` : ''}${alternates.length > 1 ? html`${alternates.map(alternate => html`<link rel="alternate" hreflang="${attr(alternate.id)}" href="${url(alternate.href)}" />
+  `)}<link rel="alternate" hreflang="x-default" href="${url(alternates[0].href)}" />
+  ` : ''}<meta property="og:type" content="profile" />
+  <meta property="og:title" content="${attr(title)}" />
+  <meta property="og:description" content="${attr(description)}" />
+  ${image ? html`<meta property="og:image" content="${url(image)}" />
+  <meta property="og:image:width" content="600" />
+  <meta property="og:image:height" content="600" />
+  <meta property="og:image:alt" content="${attr(content.name)}" />
+  ` : ''}<meta name="twitter:card" content="summary" />
+  <meta name="twitter:title" content="${attr(title)}" />
+  <meta name="twitter:description" content="${attr(description)}" />
+  ${image ? html`<meta name="twitter:image" content="${url(image)}" />
+  ` : ''}<script type="application/ld+json">${scriptJson(personSchema({ data, linkedin, skills, projects, siteUrl: pageUrl || undefined, image: image || undefined }))}</script>`;
+};
+
+const xmlText = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+// robots.txt, plus a sitemap when there is an address to put in it. `pages` are the
+// { id, path } language versions of the page, each listed with its alternates.
+const siteFiles = (siteUrl, pages = [{ path: '' }]) => {
+  const files = [];
+  if (siteUrl) {
+    const alternates = pages.length > 1
+      ? pages.map(page => `\n    <xhtml:link rel="alternate" hreflang="${xmlText(page.id)}" href="${xmlText(siteLink(siteUrl, page.path))}" />`).join('')
+      : '';
+    files.push({
+      path: 'sitemap.xml',
+      text: `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${pages.length > 1 ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : ''}>
+${pages.map(page => `  <url>
+    <loc>${xmlText(siteLink(siteUrl, page.path))}</loc>${alternates}
+  </url>
+`).join('')}</urlset>
+`,
+    });
+  }
+  files.push({
+    path: 'robots.txt',
+    text: `User-agent: *\nAllow: /\n${siteUrl ? `Sitemap: ${siteLink(siteUrl, 'sitemap.xml')}\n` : ''}`,
+  });
+  return files.map(({ path, text }) => ({ path, content: Buffer.from(text).toString('base64') }));
+};
+
+module.exports = { personSchema, seoTags, siteFiles };
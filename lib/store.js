@@ -0,0 +1,46 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// A JSON document on disk, read whole and replaced atomically. Writes are queued so
+// concurrent read-modify-write steps can't overwrite each other's changes.
+class JsonFileStore {
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve(); // Serializes writes to the file
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async write(data) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, this.file);
+  }
+
+  // Throws when the file can't be read, for readiness checks
+  async ping() {
+    await this.read();
+  }
+
+  // Run a read-modify-write step after any pending ones
+  transaction(fn) {
+    const result = this.queue.then(async () => {
+      const data = await this.read();
+      const value = await fn(data);
+      await this.write(data);
+      return value;
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = { JsonFileStore };
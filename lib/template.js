@@ -0,0 +1,184 @@
+const { ASSET_LINKS, contentSecurityPolicy } = require('./assets');
+const { attr, html, raw, scriptJson, url } = require('./html');
+
+// Stylesheet for a theme. Colors are interpolated as-is: themes and custom palettes only
+// get this far once every value has passed isSafeCssValue.
+const styles = colors => `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Inter', sans-serif; background: ${colors.bodyBg}; color: ${colors.text}; line-height: 1.8; overflow-x: hidden; }
+    nav { background: ${colors.navBg}; position: sticky; top: 0; z-index: 1000; padding: 1.5rem 2rem; box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2); }
+    .nav-container { max-width: 1400px; margin: 0 auto; display: flex; justify-content: space-between; align-items: center; }
+    .nav-logo { font-family: 'Poppins', sans-serif; font-size: 2.2rem; color: ${colors.accent}; letter-spacing: 1.5px; }
+    .nav-links { display: flex; gap: 3rem; }
+    .nav-links a { color: ${colors.navText}; text-decoration: none; font-size: 1.1rem; font-weight: 600; transition: color 0.3s, transform 0.3s; }
+    .nav-links a:hover, .nav-links a.active { color: ${colors.accent}; transform: translateY(-3px); }
+    .hamburger { display: none; font-size: 2rem; color: ${colors.navText}; cursor: pointer; }
+    .lang-switcher { display: flex; gap: 1rem; }
+    .lang-switcher a { color: ${colors.navText}; text-decoration: none; font-weight: 600; opacity: 0.75; }
+    .lang-switcher a:hover, .lang-switcher a[aria-current] { opacity: 1; text-decoration: underline; }
+    .hero { background: ${colors.heroBg}; height: 80vh; display: flex; align-items: center; justify-content: center; text-align: center; position: relative; overflow: hidden; }
+    .hero::before { content: ''; position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: ${colors.heroOverlay}; z-index: 1; }
+    .hero-content { position: relative; z-index: 2; max-width: 1100px; padding: 2rem; }
+    .hero h1 { font-family: 'Poppins', sans-serif; font-size: 4rem; color: ${colors.heroText}; margin-bottom: 1.5rem; text-shadow: 0 3px 6px rgba(0, 0, 0, 0.4); }
+    .hero p { font-size: 1.5rem; color: ${colors.accent}; margin-bottom: 3rem; }
+    .cta-button { display: inline-block; padding: 1.2rem 3.5rem; background: ${colors.buttonBg}; color: ${colors.buttonText}; text-decoration: none; border-radius: 50px; font-weight: 600; font-size: 1.2rem; transition: background 0.3s, transform 0.3s, box-shadow 0.3s; }
+    .cta-button:hover { background: ${colors.buttonHover}; transform: scale(1.05); box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3); }
+    .container { max-width: 1400px; margin: 5rem auto; padding: 0 2rem; }
+    .section { background: ${colors.sectionBg}; border-radius: 20px; padding: 4rem; margin-bottom: 5rem; box-shadow: 0 12px 40px rgba(0, 0, 0, 0.15); width: 100%; max-width: 1200px; transition: transform 0.4s; }
+    .section:hover { transform: translateY(-8px); }
+    h2 { font-family: 'Poppins', sans-serif; font-size: 2.8rem; color: ${colors.text}; margin-bottom: 2.5rem; position: relative; }
+    h2::after { content: ''; position: absolute; bottom: -0.8rem; inset-inline-start: 0; width: 100px; height: 5px; background: ${colors.accentGradient}; }
+    .headshot { width: 300px; height: 300px; border-radius: 50%; border: 5px solid ${colors.accent}; box-shadow: 0 12px 30px rgba(0, 0, 0, 0.25); object-fit: cover; object-position: center; margin: 0 auto 2.5rem; display: block; }
+    .headshot:hover { transform: scale(1.05); box-shadow: 0 15px 35px rgba(0, 0, 0, 0.3); }
+    .skills-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 2.5rem; }
+    .skill-item { background: ${colors.skillBg}; padding: 1.8rem; border-radius: 15px; text-align: center; font-weight: 600; transition: background 0.3s, transform 0.3s, box-shadow 0.3s; }
+    .skill-item:hover { background: ${colors.accentGradient}; color: ${colors.skillHoverText}; transform: translateY(-10px); box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2); }
+    .progress-bar { height: 10px; background: ${colors.progressBg}; border-radius: 5px; margin-top: 1.2rem; overflow: hidden; }
+    .progress { height: 100%; background: ${colors.accentGradient}; transition: width 1.5s ease-in-out; }
+    .project { background: ${colors.projectBg}; padding: 3rem; border-radius: 20px; margin-bottom: 3rem; transition: transform 0.4s, box-shadow 0.4s; }
+    .project:hover { transform: translateY(-8px); box-shadow: 0 12px 30px rgba(0, 0, 0, 0.2); }
+    .project h3 { font-family: 'Poppins', sans-serif; font-size: 2rem; margin-bottom: 1.2rem; color: ${colors.text}; }
+    .project p { margin-bottom: 1.8rem; color: ${colors.secondaryText}; font-size: 1.1rem; }
+    .project a { display: inline-block; color: ${colors.accent}; text-decoration: none; font-weight: 600; padding: 0.8rem 2rem; border-radius: 10px; transition: background 0.3s, transform 0.3s; }
+    .project a:hover { background: ${colors.accentHover}; transform: scale(1.05); }
+    .project-badge { background: ${colors.accent}; color: ${colors.buttonText}; padding: 0.6rem 1.2rem; border-radius: 25px; font-size: 1rem; font-weight: 600; }
+    .project-badge + .project-badge { margin-inline-start: 0.5rem; }
+    .entry { border-inline-start: 4px solid ${colors.accent}; padding-inline-start: 2rem; margin-bottom: 2.5rem; }
+    .entry-header { display: flex; justify-content: space-between; align-items: baseline; gap: 1rem; flex-wrap: wrap; }
+    .entry h3, .card h3 { font-family: 'Poppins', sans-serif; font-size: 1.5rem; color: ${colors.text}; }
+    .entry-dates, .entry-meta { color: ${colors.secondaryText}; font-weight: 600; }
+    .entry p { margin-top: 0.8rem; }
+    .entry a, .card a { color: ${colors.accent}; text-decoration: none; font-weight: 600; }
+    .card-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 2rem; }
+    .card { background: ${colors.projectBg}; padding: 2rem; border-radius: 15px; margin: 0; }
+    .rich-text p + p, .rich-text ul, .rich-text ol, .rich-text blockquote { margin-top: 1rem; }
+    .rich-text ul, .rich-text ol { padding-inline-start: 1.5rem; }
+    .rich-text blockquote { border-inline-start: 4px solid ${colors.accent}; padding-inline-start: 1rem; font-style: italic; }
+    .rich-text code { background: ${colors.skillBg}; padding: 0.1rem 0.4rem; border-radius: 4px; font-size: 0.95em; }
+    .rich-text a { color: ${colors.accent}; font-weight: 600; }
+    .project .rich-text { margin-bottom: 1.8rem; color: ${colors.secondaryText}; font-size: 1.1rem; }
+    .project .rich-text p { margin-bottom: 0; }
+    .project .rich-text a { display: inline; padding: 0; }
+    .testimonial blockquote { font-style: italic; font-size: 1.1rem; margin-bottom: 1.2rem; }
+    .testimonial figcaption { font-weight: 600; }
+    .resume-content, .contact-content { text-align: center; }
+    .resume-button, .contact-links a { display: inline-block; padding: 1.2rem 3.5rem; background: ${colors.buttonBg}; color: ${colors.buttonText}; text-decoration: none; border-radius: 50px; font-weight: 600; font-size: 1.2rem; transition: background 0.3s, transform 0.3s, box-shadow 0.3s; }
+    .resume-button:hover, .contact-links a:hover { background: ${colors.buttonHover}; transform: scale(1.05); box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3); }
+    .contact-links { display: flex; justify-content: center; gap: 2rem; flex-wrap: wrap; }
+    .contact-links a { padding: 1rem 2.5rem; display: flex; align-items: center; gap: 0.5rem; }
+    footer { background: ${colors.footerBg}; color: ${colors.navText}; text-align: center; padding: 3.5rem; }
+    footer p { font-size: 1.2rem; }
+    footer a { color: ${colors.accent}; text-decoration: none; transition: color 0.3s; }
+    footer a:hover { color: ${colors.accentHoverSolid}; }
+    .about-heading { font-size: 1.8rem; margin: 2rem 0 1rem; }
+    .projects-note { text-align: center; font-style: italic; color: ${colors.secondaryText}; }
+${Array.from({ length: 21 }, (_, step) => `    .progress.level-${step * 5} { width: ${step * 5}%; }\n`).join('')}    @media (max-width: 1024px) { .hero h1 { font-size: 3rem; } .hero p { font-size: 1.3rem; } }
+    @media (max-width: 768px) { .nav-links { display: none; flex-direction: column; position: absolute; top: 80px; left: 0; width: 100%; background: ${colors.navBg}; padding: 2rem; } .nav-links.active { display: flex; } .hamburger { display: block; } .hero h1 { font-size: 2.5rem; } .hero p { font-size: 1.1rem; } .container { margin: 3rem 1.5rem; padding: 1rem; } .headshot { width: 200px; height: 200px; } .section { padding: 2.5rem; } .skills-grid { grid-template-columns: 1fr; } .contact-links { flex-direction: column; gap: 1.5rem; } }
+    @media (max-width: 480px) { .nav-logo { font-size: 1.8rem; } .hero h1 { font-size: 2rem; } .hero p { font-size: 0.9rem; } .cta-button { padding: 0.8rem 2rem; font-size: 1rem; } .section { padding: 2rem; } }
+    @media (prefers-reduced-motion: reduce) { *, *::before, *::after { animation: none !important; transition: none !important; scroll-behavior: auto !important; } [data-aos] { opacity: 1 !important; transform: none !important; } .section:hover, .project:hover, .skill-item:hover, .nav-links a:hover, .nav-links a.active { transform: none; } }
+`;
+
+// Inline script for the nav, animations and scroll-spy
+const pageScript = sectionIds => `
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    AOS.init({ duration: 1200, easing: 'ease-out-quart', once: true, disable: reduceMotion });
+    if (!reduceMotion) VanillaTilt.init(document.querySelectorAll('.project'), { max: 8, speed: 400, glare: true, 'max-glare': 0.3 });
+    const hamburger = document.getElementById('hamburger');
+    const navLinks = document.getElementById('nav-links');
+    hamburger.addEventListener('click', () => {
+      navLinks.classList.toggle('active');
+      hamburger.textContent = navLinks.classList.contains('active') ? '✕' : '☰';
+    });
+    const links = document.querySelectorAll('.nav-links a');
+    links.forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const targetId = link.getAttribute('href').substring(1);
+        document.getElementById(targetId).scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth' });
+        links.forEach(l => l.classList.remove('active'));
+        link.classList.add('active');
+        if (window.innerWidth <= 768) {
+          navLinks.classList.remove('active');
+          hamburger.textContent = '☰';
+        }
+      });
+    });
+    const sections = ${scriptJson(sectionIds)}.map(id => document.getElementById(id));
+    window.addEventListener('scroll', () => {
+      let current = '';
+      sections.forEach(section => {
+        const sectionTop = section.offsetTop;
+        if (window.scrollY >= sectionTop - 80) {
+          current = section.getAttribute('id');
+        }
+      });
+      links.forEach(link => {
+        link.classList.remove('active');
+        if (link.getAttribute('href').substring(1) === current) {
+          link.classList.add('active');
+        }
+      });
+    });
+  `;
+
+// Page layout shared by every theme. The nav and scroll-spy follow the sections passed in,
+// each one { id, nav, html }; `content` holds the page's text fields. With bundled assets
+// fonts and scripts load from the site itself and a Content-Security-Policy is set.
+// `seo` is the markup of the search and social tags. `locale` and its translator `t` set
+// the language and direction of the page, `root` is the relative path to the site's root
+// and `languages`, when there is more than one, fills the language switcher with
+// { id, name, href, current } entries.
+const baseTemplate = ({ colors, sections, content, assets = 'cdn', seo = '', locale, t, root = './', languages = [] }) => {
+  const style = styles(colors);
+  const script = pageScript(['home', ...sections.map(section => section.id)]);
+  const links = ASSET_LINKS[assets];
+  const local = href => (href.startsWith('./') ? root + href.slice(2) : href);
+  return html`<!DOCTYPE html>
+<html lang="${attr(locale.id)}" dir="${attr(locale.dir)}">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />${assets === 'bundled' ? html`
+  <meta http-equiv="Content-Security-Policy" content="${attr(contentSecurityPolicy({ style, script }))}" />` : ''}
+  <meta name="description" content="${attr(t('description', content))}" />
+  <meta name="keywords" content="${attr(`${content.keywords}, ${t('keywords')}, ${content.profession}`)}" />${seo}
+  <title>${t('title', content)}</title>
+  ${links.styles.map(href => html`<link href="${url(local(href))}" rel="stylesheet">
+  `)}<style>${raw(style)}</style>
+</head>
+<body>
+  <nav>
+    <div class="nav-container">
+      <div class="nav-logo">${content.name} | ${content.profession}</div>
+      <div class="nav-links" id="nav-links">
+        <a href="#home" class="active">${t('nav.home')}</a>
+        ${sections.map(section => html`<a href="#${attr(section.id)}">${section.nav}</a>
+        `)}
+      </div>
+      ${languages.length > 1 ? html`<div class="lang-switcher" role="navigation" aria-label="${attr(t('nav.languages'))}">
+        ${languages.map(language => html`<a href="${url(language.href)}" hreflang="${attr(language.id)}" lang="${attr(language.id)}"${language.current ? raw(' aria-current="page"') : ''}>${language.name}</a>
+        `)}
+      </div>
+      ` : ''}<div class="hamburger" id="hamburger" aria-label="${attr(t('nav.menu'))}">☰</div>
+    </div>
+  </nav>
+  <section class="hero" id="home">
+    <div class="hero-content" data-aos="zoom-in">
+      <h1>${content.name} | ${content.profession}</h1>
+      <p>${content.tagline}</p>
+      <a href="${sections.some(section => section.id === 'contact') ? '#contact' : url(`mailto:${content.email}`)}" class="cta-button">${t('hero.cta')}</a>
+    </div>
+  </section>
+  <div class="container">
+${sections.map(section => section.html)}
+  </div>
+  <footer>
+    <p>${t('footer.contact')} <a href="${url(`mailto:${content.email}`)}" aria-label="${attr(t('contact.emailLabel'))}">${content.email}</a> | ${content.phone}</p>
+    <p>${t('footer.copyright', content)}</p>
+  </footer>
+  ${links.scripts.map(src => html`<script src="${url(local(src))}"></script>
+  `)}<script>${raw(script)}</script>
+</body>
+</html>`;
+};
+
+module.exports = { baseTemplate };
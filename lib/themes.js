@@ -0,0 +1,208 @@
+const fsSync = require('fs');
+const path = require('path');
+
+// Every color baseTemplate uses; a theme has to define all of them
+const THEME_COLOR_KEYS = [
+  'bodyBg',
+  'text',
+  'navBg',
+  'navText',
+  'accent',
+  'accentGradient',
+  'accentHover',
+  'accentHoverSolid',
+  'heroBg',
+  'heroOverlay',
+  'heroText',
+  'buttonBg',
+  'buttonHover',
+  'buttonText',
+  'sectionBg',
+  'skillBg',
+  'skillHoverText',
+  'progressBg',
+  'projectBg',
+  'secondaryText',
+  'footerBg',
+];
+
+// Text/background pairs that have to stay readable, with the WCAG contrast ratio each needs
+// (3:1 is enough for the hero heading and the bold nav links, 4.5:1 for everything else)
+const CONTRAST_PAIRS = [
+  ['text', 'sectionBg', 4.5],
+  ['text', 'projectBg', 4.5],
+  ['secondaryText', 'projectBg', 4.5],
+  ['secondaryText', 'sectionBg', 4.5],
+  ['navText', 'navBg', 3],
+  ['navText', 'footerBg', 4.5],
+  ['heroText', 'heroBg', 3],
+  ['buttonText', 'buttonBg', 4.5],
+  ['skillHoverText', 'accentGradient', 4.5],
+];
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  red: '#ff0000',
+  maroon: '#800000',
+  orange: '#ffa500',
+  yellow: '#ffff00',
+  olive: '#808000',
+  lime: '#00ff00',
+  green: '#008000',
+  aqua: '#00ffff',
+  teal: '#008080',
+  blue: '#0000ff',
+  navy: '#000080',
+  fuchsia: '#ff00ff',
+  purple: '#800080',
+  transparent: 'rgba(0, 0, 0, 0)',
+};
+
+const CSS_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'linear-gradient', 'radial-gradient'];
+const CSS_KEYWORDS = ['to', 'top', 'bottom', 'left', 'right', 'center', 'circle', 'ellipse', 'at'];
+
+const COLOR_TOKEN = /#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^()]*\)|\b[a-z]+\b/gi;
+
+// Only plain colors and gradients built from them are accepted: no url(), no expressions,
+// nothing that could close the declaration or the <style> block
+const isSafeCssValue = (value) => {
+  if (typeof value !== 'string' || !value.trim() || value.length > 200) return false;
+  if (!/^[a-z0-9#%.,()\s-]+$/i.test(value)) return false;
+
+  let depth = 0;
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')' && --depth < 0) return false;
+  }
+  if (depth !== 0) return false;
+
+  const functions = value.match(/[a-z-]+(?=\()/gi) || [];
+  if (!functions.every(name => CSS_FUNCTIONS.includes(name.toLowerCase()))) return false;
+
+  const words = value.replace(/[a-z-]+\(|#[0-9a-f]+/gi, '(').match(/\b[a-z][a-z-]*\b/gi) || [];
+  return words.every((word) => {
+    const lower = word.toLowerCase();
+    return NAMED_COLORS[lower] || CSS_KEYWORDS.includes(lower) || /^(deg|turn|rad|px|em|rem)$/.test(lower);
+  }) && parseColors(value).length > 0;
+};
+
+const parseHex = (hex) => {
+  let digits = hex.slice(1);
+  if (digits.length === 3 || digits.length === 4) digits = digits.replace(/./g, c => c + c);
+  if (digits.length !== 6 && digits.length !== 8) return null;
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+  };
+};
+
+const hslToRgb = (h, s, l) => {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+};
+
+// Every color stop in a CSS value as { r, g, b }. Transparency is ignored, so colors are
+// judged as if they were opaque.
+const parseColors = (value) =>
+  (value.match(COLOR_TOKEN) || [])
+    .map((token) => {
+      const lower = token.toLowerCase();
+      if (NAMED_COLORS[lower]) return lower === 'transparent' ? null : parseHex(NAMED_COLORS[lower]);
+      if (lower.startsWith('#')) return parseHex(lower);
+      const args = lower.slice(lower.indexOf('(') + 1, -1).split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+      if (args.length < 3 || args.some(Number.isNaN)) return null;
+      if (lower.startsWith('rgb')) return { r: args[0], g: args[1], b: args[2] };
+      return hslToRgb(args[0], args[1] / 100, args[2] / 100);
+    })
+    .filter(Boolean);
+
+const luminance = ({ r, g, b }) => {
+  const [R, G, B] = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+};
+
+const contrastRatio = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// Lowest contrast between any color of the foreground and any stop of the background
+const worstContrast = (foreground, background) => {
+  let worst = Infinity;
+  for (const fg of parseColors(foreground)) {
+    for (const bg of parseColors(background)) worst = Math.min(worst, contrastRatio(fg, bg));
+  }
+  return worst;
+};
+
+// List what is wrong with a set of colors as { key, code, message } entries;
+// `keys` limits the contrast checks to pairs touching those colors
+const checkColors = (colors, { keys = THEME_COLOR_KEYS } = {}) => {
+  const problems = [];
+  for (const [key, value] of Object.entries(colors)) {
+    if (!THEME_COLOR_KEYS.includes(key)) {
+      problems.push({ key, code: 'unknown_color', message: `Unknown color "${key}"` });
+    } else if (!isSafeCssValue(value)) {
+      problems.push({ key, code: 'unsafe_value', message: `Color "${key}" is not a plain color or gradient` });
+    }
+  }
+  if (problems.length) return problems;
+
+  for (const [fg, bg, minimum] of CONTRAST_PAIRS) {
+    if (!colors[fg] || !colors[bg] || !(keys.includes(fg) || keys.includes(bg))) continue;
+    const ratio = worstContrast(colors[fg], colors[bg]);
+    if (ratio < minimum) {
+      problems.push({
+        key: keys.includes(fg) ? fg : bg,
+        code: 'low_contrast',
+        message: `Contrast between "${fg}" and "${bg}" is ${ratio.toFixed(2)}:1, at least ${minimum}:1 is needed`,
+      });
+    }
+  }
+  return problems;
+};
+
+// Load and check every theme in a directory of JSON files, keyed by file name.
+// A broken theme file stops the server from starting rather than producing broken pages.
+const loadThemes = (dir) => {
+  const themes = new Map();
+  for (const file of fsSync.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const id = path.basename(file, '.json');
+    const theme = JSON.parse(fsSync.readFileSync(path.join(dir, file), 'utf8'));
+    const colors = theme.colors || {};
+    const missing = THEME_COLOR_KEYS.filter(key => !colors[key]);
+    const problems = [
+      ...(missing.length ? [`Missing colors: ${missing.join(', ')}`] : []),
+      ...checkColors(colors, { keys: [] }).map(problem => problem.message),
+    ];
+    if (problems.length) {
+      throw new Error(`Invalid theme ${file}: ${problems.join('; ')}`);
+    }
+    themes.set(id, { id, name: theme.name || id, colors });
+  }
+  return themes;
+};
+
+// Colors for a theme with a user's custom palette laid over it. Only the custom colors are
+// checked for contrast, since the built-in themes are reviewed by hand.
+const resolvePalette = (theme, custom) => {
+  if (!custom) return { colors: theme.colors, problems: [] };
+  if (typeof custom !== 'object' || Array.isArray(custom)) {
+    return { colors: null, problems: [{ code: 'invalid_type', message: 'Palette must be an object of colors' }] };
+  }
+  const colors = { ...theme.colors, ...custom };
+  const problems = checkColors(colors, { keys: Object.keys(custom) });
+  return { colors: problems.length ? null : colors, problems };
+};
+
+module.exports = { THEME_COLOR_KEYS, loadThemes, resolvePalette, isSafeCssValue, contrastRatio, parseColors };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { hashToken } = require('./portfolios');
+const { JsonFileStore } = require('./store');
+
+// Sign-in sessions last this long before the user has to sign in again
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// GitHub tokens are kept encrypted with a key derived from the server's secret, so a copy
+// of the data directory alone can't publish as anyone
+const sealer = (secret) => {
+  const key = crypto.createHash('sha256').update(String(secret)).digest();
+  return {
+    seal(text) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+      return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+    },
+    open(sealed) {
+      const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    },
+  };
+};
+
+// Users who signed in with GitHub and their sessions, in one JSON file:
+// { users: { [id]: user }, sessions: { [token hash]: { userId, expiresAt } } }
+class UserStore extends JsonFileStore {
+  constructor(file, { secret }) {
+    super(file);
+    this.tokens = sealer(secret);
+  }
+
+  async get(id) {
+    const { users = {} } = await this.read();
+    return users[id] || null;
+  }
+
+  // Record a GitHub sign-in, replacing the token from any earlier one
+  saveGithubUser({ githubId, login, name, token }) {
+    return this.transaction((data) => {
+      data.users = data.users || {};
+      const id = `github:${githubId}`;
+      const now = new Date().toISOString();
+      data.users[id] = {
+        createdAt: now,
+        ...data.users[id],
+        id,
+        login,
+        name: name || null,
+        githubToken: this.tokens.seal(token),
+        updatedAt: now,
+      };
+      return data.users[id];
+    });
+  }
+
+  // The GitHub account a user publishes to, as { login, token }
+  githubAccount(user) {
+    if (!user || !user.githubToken) return null;
+    return { login: user.login, token: this.tokens.open(user.githubToken) };
+  }
+
+  // Start a session; only the hash of the returned token is stored
+  createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    return this.transaction((data) => {
+      const now = Date.now();
+      data.sessions = Object.fromEntries(Object.entries(data.sessions || {}).filter(([, session]) => session.expiresAt > now));
+      data.sessions[hashToken(token)] = { userId, expiresAt: now + SESSION_TTL };
+      return token;
+    });
+  }
+
+  async findSession(token) {
+    const { users = {}, sessions = {} } = await this.read();
+    const session = sessions[hashToken(token)];
+    if (!session || session.expiresAt <= Date.now()) return null;
+    return users[session.userId] || null;
+  }
+
+  removeSession(token) {
+    return this.transaction((data) => {
+      const existed = Boolean(data.sessions && data.sessions[hashToken(token)]);
+      if (existed) delete data.sessions[hashToken(token)];
+      return existed;
+    });
+  }
+}
+
+module.exports = { UserStore };
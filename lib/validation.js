@@ -0,0 +1,67 @@
+const { ASSET_MODES } = require('./assets');
+const { ValidationError } = require('./errors');
+const { any, array, email, json, object, oneOf, phone, string, url, validate } = require('./schema');
+const { DEFAULT_SECTIONS, sectionTypes } = require('./sections');
+
+// Fields a translation may give in another language; the rest of the payload is shared
+const TRANSLATABLE_FIELDS = ['name', 'profession', 'tagline', 'summary', 'about'];
+
+// Content in other languages, { "<locale>": { "<field>": value } }, checked once it is
+// laid over the payload. Section fields holding text (projects, experience and so on)
+// can be translated too.
+const translationsField = ({ localeIds }) => {
+  const sectionFields = [...new Set(Object.values(sectionTypes).flatMap(type => Object.keys(type.fields)))];
+  const fields = Object.fromEntries([...TRANSLATABLE_FIELDS, ...sectionFields].map(key => [key, any()]));
+  return json(object(Object.fromEntries(localeIds().map(id => [id, object(fields)]))));
+};
+
+// Fields every /api/generate and /api/preview payload shares; each section adds its own
+const baseFields = ({ themeIds, localeIds }) => ({
+  name: string({ required: true, max: 100 }),
+  profession: string({ required: true, max: 100 }),
+  tagline: string({ max: 200 }),
+  summary: string({ max: 2000 }),
+  about: string({ max: 5000 }),
+  email: email({ required: true }),
+  linkedin: url({ hosts: ['linkedin.com'] }),
+  phone: phone(),
+  template: oneOf(themeIds, { required: true }),
+  palette: json(any()),
+  assets: oneOf(ASSET_MODES),
+  locale: oneOf(localeIds),
+  translations: translationsField({ localeIds }),
+  sections: json(array(oneOf(Object.keys(sectionTypes), { required: true }), {
+    min: 1,
+    max: Object.keys(sectionTypes).length,
+    unique: true,
+  })),
+});
+
+// Validate a portfolio payload against the base schema and the schemas of the sections it
+// chooses. Returns the cleaned values along with the parsed input of each chosen section,
+// or throws a ValidationError listing every failing field.
+const validatePortfolio = (body, { themeIds, localeIds }) => {
+  const base = validate(object(baseFields({ themeIds, localeIds })), body);
+  const sectionIds = base.value.sections || DEFAULT_SECTIONS;
+  const errors = [...base.errors];
+
+  // Sections are only checked when the section list itself is valid
+  const chosen = [];
+  if (!errors.some(problem => problem.field.startsWith('sections'))) {
+    for (const id of sectionIds) {
+      const type = sectionTypes[id];
+      const { value, errors: sectionErrors } = validate(object(type.fields), body);
+      errors.push(...sectionErrors);
+      if (!sectionErrors.length && type.check) errors.push(...type.check(value));
+      chosen.push({ id, type, values: value });
+    }
+  }
+
+  if (errors.length) throw ValidationError.fromFields(errors);
+  return {
+    values: base.value,
+    sections: chosen.map(({ id, type, values }) => ({ id, type, input: type.parse(values) })),
+  };
+};
+
+module.exports = { validatePortfolio };
@@ -0,0 +1,711 @@
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+const sharp = require('sharp');
+const { createApp } = require('../lib/app');
+const { loadConfig } = require('../lib/config');
+const { commitFiles, gitBlobSha } = require('../lib/github');
+const { createLogger } = require('../lib/logger');
+const { PortfolioStore, hashToken } = require('../lib/portfolios');
+const { createProjectImporter } = require('../lib/projects');
+
+// A publisher that keeps what it was given instead of sending it anywhere
+const fakePublisher = () => {
+  const published = [];
+  const unpublished = [];
+  return {
+    name: 'github',
+    published,
+    unpublished,
+    siteUrl: portfolio => `https://pages.example/${portfolio.id}/`,
+    publish: async ({ portfolio, files }) => {
+      published.push(Object.fromEntries(files.map(file => [file.path, Buffer.from(file.content, 'base64')])));
+      return { url: `https://pages.example/${portfolio.id}/`, changed: files.length };
+    },
+    unpublish: async ({ portfolio, mode }) => {
+      unpublished.push({ id: portfolio.id, mode });
+      return { action: mode === 'delete' ? 'deleted' : 'archived' };
+    },
+  };
+};
+
+// The parts of GitHub's API the publisher uses, kept in memory. Errors queued in
+// `failures` under a method name are thrown by its next calls.
+const fakeGithub = () => {
+  const calls = [];
+  const failures = new Map();
+  const repos = new Map(); // name -> { head, trees: tree sha -> { path: blob sha } }
+
+  class FakeOctokit {
+    constructor() {
+      const api = methods => Object.fromEntries(Object.entries(methods).map(([name, fn]) => [name, async (params) => {
+        calls.push(name);
+        const queued = failures.get(name) || [];
+        if (queued.length) throw queued.shift();
+        return fn(params);
+      }]));
+      this.repos = api({
+        createForAuthenticatedUser: ({ name }) => {
+          if (repos.has(name)) {
+            throw Object.assign(new Error('Repository creation failed: name already exists on this account'), { status: 422 });
+          }
+          repos.set(name, { head: 'c0', trees: new Map([['c0', {}]]) });
+          return { data: {} };
+        },
+        createPagesSite: () => ({ data: {} }),
+        deletePagesSite: () => ({ data: {} }),
+        update: () => ({ data: {} }),
+      });
+      this.git = api({
+        getRef: ({ repo }) => ({ data: { object: { sha: repos.get(repo).head } } }),
+        getCommit: ({ commit_sha: sha }) => ({ data: { tree: { sha } } }),
+        getTree: ({ repo, tree_sha: sha }) => ({
+          data: { tree: Object.entries(repos.get(repo).trees.get(sha)).map(([file, blob]) => ({ path: file, sha: blob, type: 'blob' })) },
+        }),
+        createBlob: ({ content }) => ({ data: { sha: gitBlobSha(content) } }),
+        createTree: ({ repo, base_tree: base, tree }) => {
+          const { trees } = repos.get(repo);
+          const sha = `t${trees.size}`;
+          const files = { ...trees.get(base), ...Object.fromEntries(tree.map(entry => [entry.path, entry.sha])) };
+          trees.set(sha, Object.fromEntries(Object.entries(files).filter(([, blob]) => blob !== null)));
+          return { data: { sha } };
+        },
+        createCommit: ({ tree }) => ({ data: { sha: tree } }),
+        updateRef: ({ repo, sha }) => {
+          repos.get(repo).head = sha;
+          return { data: {} };
+        },
+      });
+    }
+  }
+  return { Octokit: FakeOctokit, calls, failures, repos };
+};
+
+// Start the app on a free port, keeping its files in a temporary directory
+const startApp = async (env, deps = {}) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'eportfolio-'));
+  const logs = [];
+  const logger = createLogger({ out: { write: line => logs.push(JSON.parse(line)) }, err: { write: () => {} } });
+  const { app, shutdown } = createApp(loadConfig(env, { root }), { logger, ...deps });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    root,
+    logs,
+    base: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      await shutdown();
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(root, { recursive: true, force: true });
+    },
+  };
+};
+
+// The smallest payload /api/generate accepts, as a form
+const portfolioForm = (fields = {}) => {
+  const form = new FormData();
+  const values = { name: 'Jane', profession: 'Engineer', email: 'jane@example.com', template: 'default', ...fields };
+  for (const [key, value] of Object.entries(values)) form.append(key, value);
+  return form;
+};
+
+const waitForJob = async (base, statusUrl, headers) => {
+  for (;;) {
+    const job = await (await fetch(base + statusUrl, { headers })).json();
+    if (job.status !== 'running') return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('app', () => {
+  const auth = { Authorization: 'Bearer secret' };
+  const publisher = fakePublisher();
+  let server;
+
+  before(async () => {
+    // GitHub turns every project import away
+    class RateLimitedOctokit {
+      constructor() {
+        const limited = async () => {
+          throw Object.assign(new Error('API rate limit exceeded'), { status: 403 });
+        };
+        this.repos = { listForUser: limited };
+      }
+    }
+    server = await startApp({ API_KEYS: 'test:secret' }, {
+      publishers: new Map([['github', publisher]]),
+      importProjects: createProjectImporter({ Octokit: RateLimitedOctokit }),
+    });
+  });
+  after(() => server.close());
+
+  it('answers health checks and logs requests with their id', async () => {
+    const res = await fetch(`${server.base}/healthz`, { headers: { 'X-Request-Id': 'probe-1' } });
+    assert.deepStrictEqual(await res.json(), { status: 'ok' });
+    assert.strictEqual(res.headers.get('X-Request-Id'), 'probe-1');
+    assert.strictEqual((await fetch(`${server.base}/readyz`)).status, 200);
+    assert.ok(server.logs.some(entry => entry.requestId === 'probe-1' && entry.path === '/healthz' && entry.status === 200));
+  });
+
+  it('publishes through the injected publisher', async () => {
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm() });
+    assert.strictEqual(res.status, 202);
+    const job = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.strictEqual(job.status, 'done');
+    assert.ok('index.html' in publisher.published[0]);
+  });
+
+  it('links the headshot in preview cards once one is uploaded', async () => {
+    const page = () => publisher.published[publisher.published.length - 1]['index.html'].toString();
+    const form = portfolioForm();
+    const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    form.append('image', new Blob([image], { type: 'image/png' }), 'me.png');
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: form });
+    const { result } = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.ok(page().includes(`<meta property="og:image" content="https://pages.example/${result.id}/headshot-600.jpg" />`));
+
+    // An update without a new upload keeps the published headshot
+    const update = await fetch(`${server.base}/api/portfolios/${result.id}`, {
+      method: 'PUT',
+      headers: auth,
+      body: portfolioForm(),
+    });
+    await waitForJob(server.base, (await update.json()).statusUrl, auth);
+    assert.ok(!('headshot-600.jpg' in publisher.published[publisher.published.length - 1]));
+    assert.ok(page().includes('og:image'));
+  });
+
+  it('answers 503 naming githubProjects when GitHub rate limits the import', async () => {
+    const form = portfolioForm({ githubProjects: JSON.stringify({ username: 'jane' }) });
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: form });
+    assert.strictEqual(res.status, 503);
+    const body = await res.json();
+    assert.match(body.error, /githubProjects/);
+    assert.deepStrictEqual(body.fields.map(problem => [problem.field, problem.code]), [['githubProjects', 'rate_limited']]);
+  });
+
+  it('lists the themes with their colors', async () => {
+    const { themes } = await (await fetch(`${server.base}/api/themes`)).json();
+    assert.deepStrictEqual(themes.map(theme => theme.id), ['dark', 'default', 'vibrant']);
+    assert.strictEqual(themes[1].name, 'Default');
+    assert.strictEqual(typeof themes[1].colors.accent, 'string');
+  });
+
+  it('answers 400 for custom palettes with unreadable or unknown colors', async () => {
+    const palette = JSON.stringify({ buttonText: '#f59e0b', linkColor: '#000000' });
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ palette }) });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual((await res.json()).fields.map(problem => [problem.field, problem.code]), [['palette.linkColor', 'unknown_color']]);
+
+    const unreadable = portfolioForm({ palette: JSON.stringify({ buttonText: '#f59e0b' }) });
+    const contrast = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: unreadable });
+    assert.strictEqual(contrast.status, 400);
+    assert.deepStrictEqual((await contrast.json()).fields.map(problem => [problem.field, problem.code]), [['palette.buttonText', 'low_contrast']]);
+  });
+
+  it('answers 400 listing every invalid field with its code', async () => {
+    const form = portfolioForm({
+      email: 'not-an-email',
+      linkedin: 'https://example.com/in/jane',
+      phone: 'call me',
+      skills: JSON.stringify(['Go']),
+      skillProficiencies: '[150]',
+      translations: '{"fr":',
+    });
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: form });
+    assert.strictEqual(res.status, 400);
+    const body = await res.json();
+    assert.strictEqual(typeof body.error, 'string');
+    assert.ok(body.fields.every(problem => typeof problem.message === 'string'));
+    assert.deepStrictEqual(body.fields.map(problem => [problem.field, problem.code]), [
+      ['email', 'invalid_email'],
+      ['linkedin', 'invalid_url'],
+      ['phone', 'invalid_phone'],
+      ['translations', 'invalid_json'],
+      ['skillProficiencies[0]', 'out_of_range'],
+    ]);
+  });
+
+  it('answers 400 for an image that does not decode and removes the upload', async () => {
+    const form = portfolioForm();
+    const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    form.append('image', new Blob([png.subarray(0, 60)], { type: 'image/png' }), 'me.png');
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: form });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual((await res.json()).fields.map(problem => [problem.field, problem.code]), [['image', 'invalid_format']]);
+    assert.deepStrictEqual(await fs.readdir(path.join(server.root, 'uploads')), []);
+  });
+
+  it('rejects oversized uploads with 413 and removes them', async () => {
+    const form = new FormData();
+    form.append('cv', new Blob([Buffer.alloc(6 * 1024 * 1024)], { type: 'application/pdf' }), 'cv.pdf');
+    const res = await fetch(`${server.base}/api/cv/extract`, { method: 'POST', headers: auth, body: form });
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual((await res.json()).fields[0].code, 'limit_file_size');
+    assert.deepStrictEqual(await fs.readdir(path.join(server.root, 'uploads')), []);
+  });
+});
+
+describe('previews', () => {
+  const auth = { Authorization: 'Bearer secret' };
+  const publisher = fakePublisher();
+  let server;
+
+  before(async () => {
+    server = await startApp({ API_KEYS: 'test:secret' }, { publishers: new Map([['github', publisher]]) });
+  });
+  after(() => server.close());
+
+  const preview = async () => {
+    const form = portfolioForm({ tagline: 'Previewed' });
+    const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    form.append('image', new Blob([image], { type: 'image/png' }), 'me.png');
+    const res = await fetch(`${server.base}/api/preview`, { method: 'POST', headers: auth, body: form });
+    assert.strictEqual(res.status, 200);
+    return res.json();
+  };
+
+  it('renders a preview without publishing and serves it with its assets', async () => {
+    const { html, url, expiresAt } = await preview();
+    assert.ok(html.includes('Previewed'));
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    assert.strictEqual(publisher.published.length, 0);
+
+    const page = await fetch(url);
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(await page.text(), html);
+
+    const redirect = await fetch(url.slice(0, -1), { redirect: 'manual' });
+    assert.strictEqual(redirect.status, 301);
+    assert.strictEqual(redirect.headers.get('location'), new URL(url).pathname);
+
+    const headshot = await fetch(`${url}headshot-300.jpg`);
+    assert.strictEqual(headshot.status, 200);
+    assert.strictEqual(headshot.headers.get('content-type'), 'image/jpeg');
+    assert.strictEqual((await fetch(`${url}missing.js`)).status, 404);
+  });
+
+  it('stops serving a preview once it expires', async () => {
+    const { url } = await preview();
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+      assert.strictEqual((await fetch(url)).status, 200);
+      mock.timers.tick(30 * 60 * 1000);
+      const expired = await fetch(url);
+      assert.strictEqual(expired.status, 404);
+      assert.deepStrictEqual(await expired.json(), { error: 'Preview not found or expired' });
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
+
+describe('GitHub Pages publishing', () => {
+  const auth = { Authorization: 'Bearer secret' };
+  const github = fakeGithub();
+  let server;
+
+  before(async () => {
+    server = await startApp({ API_KEYS: 'test:secret', GITHUB_TOKEN: 'server-token', GITHUB_USER: 'octo' }, { Octokit: github.Octokit });
+  });
+  after(() => server.close());
+
+  it('enables Pages on the next update when enabling it failed', async () => {
+    github.failures.set('createPagesSite', [Object.assign(new Error('Bad gateway'), { status: 502 })]);
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm() });
+    const failed = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error.message, 'Failed to enable GitHub Pages');
+    const { id } = failed.error;
+
+    const update = () => fetch(`${server.base}/api/portfolios/${id}`, { method: 'PUT', headers: auth, body: portfolioForm() });
+    const retried = await waitForJob(server.base, (await (await update()).json()).statusUrl, auth);
+    assert.strictEqual(retried.status, 'done');
+    assert.strictEqual(retried.result.url, `https://octo.github.io/eportfolio-${id}`);
+    assert.strictEqual(github.calls.filter(call => call === 'createPagesSite').length, 2);
+    assert.ok(github.repos.get(`eportfolio-${id}`).head !== 'c0');
+
+    // Once enabled, updates leave Pages alone
+    await waitForJob(server.base, (await (await update()).json()).statusUrl, auth);
+    assert.strictEqual(github.calls.filter(call => call === 'createPagesSite').length, 2);
+  });
+
+  it('counts a Pages site that already exists as enabled', async () => {
+    github.failures.set('createPagesSite', [Object.assign(new Error('Conflict'), { status: 409 })]);
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ name: 'Joe' }) });
+    const job = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.strictEqual(job.status, 'done');
+  });
+
+  it('never reuses the repository of a deleted portfolio', async () => {
+    const publish = async (name) => {
+      const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ name }) });
+      return waitForJob(server.base, (await res.json()).statusUrl, auth);
+    };
+    const first = await publish('Sam');
+    assert.strictEqual(first.result.id, 'sam');
+    await fetch(`${server.base}/api/portfolios/sam`, { method: 'DELETE', headers: auth });
+
+    const second = await publish('Sam');
+    assert.strictEqual(second.status, 'done');
+    assert.strictEqual(second.result.id, 'sam-2');
+    assert.ok(github.repos.has('eportfolio-sam-2'));
+  });
+
+  it('deletes generated files an update no longer produces', async () => {
+    const files = (id) => {
+      const { head, trees } = github.repos.get(`eportfolio-${id}`);
+      return Object.keys(trees.get(head));
+    };
+    const translated = portfolioForm({ name: 'Ana', translations: JSON.stringify({ fr: { tagline: 'Bonjour' } }) });
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: translated });
+    const { result } = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.ok(files(result.id).includes('fr/index.html'));
+
+    const update = await fetch(`${server.base}/api/portfolios/${result.id}`, { method: 'PUT', headers: auth, body: portfolioForm({ name: 'Ana' }) });
+    const job = await waitForJob(server.base, (await update.json()).statusUrl, auth);
+    assert.strictEqual(job.status, 'done');
+    assert.ok(!files(result.id).includes('fr/index.html'));
+    assert.ok(files(result.id).includes('index.html'));
+  });
+
+  it('explains when the repository name is already taken', async () => {
+    github.repos.set('eportfolio-zed', { head: 'c0', trees: new Map([['c0', {}]]) });
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ name: 'Zed' }) });
+    const job = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error.message, /eportfolio-zed already exists on GitHub account octo/);
+  });
+
+  it('fails the commit when its progress cannot be recorded', async () => {
+    const octokit = new github.Octokit();
+    await octokit.repos.createForAuthenticatedUser({ name: 'progress' });
+    const files = [{ path: 'index.html', content: Buffer.from('<h1>Hi</h1>').toString('base64') }];
+    await assert.rejects(commitFiles(octokit, {
+      owner: 'octo',
+      repo: 'progress',
+      files,
+      message: 'Publish portfolio',
+      onProgress: async () => { throw new Error('Job store unavailable'); },
+    }), /Job store unavailable/);
+    assert.strictEqual(github.repos.get('progress').head, 'c0');
+  });
+});
+
+describe('jobs and artifacts', () => {
+  const auth = { Authorization: 'Bearer secret' };
+  const otherAuth = { Authorization: 'Bearer other-secret' };
+  let server;
+
+  before(async () => {
+    server = await startApp({ API_KEYS: 'test:secret,other:other-secret' });
+  });
+  after(() => server.close());
+
+  it('are not started for GitHub Pages without an account to publish with', async () => {
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm() });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).fields[0].field, 'target');
+  });
+
+  it('are only shown to whoever started the job', async () => {
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ target: 'zip' }) });
+    const { statusUrl, eventsUrl } = await res.json();
+    const job = await waitForJob(server.base, statusUrl, auth);
+    assert.strictEqual(job.status, 'done');
+    const { downloadUrl } = job.result.artifact;
+
+    assert.strictEqual((await fetch(server.base + statusUrl)).status, 401);
+    assert.strictEqual((await fetch(server.base + downloadUrl)).status, 401);
+    assert.strictEqual((await fetch(server.base + statusUrl, { headers: otherAuth })).status, 404);
+    assert.strictEqual((await fetch(server.base + eventsUrl.split('?')[0], { headers: otherAuth })).status, 404);
+    assert.strictEqual((await fetch(server.base + downloadUrl, { headers: otherAuth })).status, 404);
+
+    const download = await fetch(server.base + downloadUrl, { headers: auth });
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(Buffer.from(await download.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+  });
+
+  it('ask for uploads again when updating a ZIP bundle', async () => {
+    const withImage = async () => {
+      const form = portfolioForm({ target: 'zip' });
+      const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+      form.append('image', new Blob([image], { type: 'image/png' }), 'me.png');
+      return form;
+    };
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: await withImage() });
+    const { result } = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    const update = async body => fetch(`${server.base}/api/portfolios/${result.id}`, { method: 'PUT', headers: auth, body });
+
+    const rejected = await update(portfolioForm({ target: 'zip' }));
+    assert.strictEqual(rejected.status, 409);
+    assert.deepStrictEqual((await rejected.json()).missing, ['image']);
+
+    const accepted = await update(await withImage());
+    assert.strictEqual(accepted.status, 202);
+    const job = await waitForJob(server.base, (await accepted.json()).statusUrl, auth);
+    assert.strictEqual(job.status, 'done');
+  });
+
+  it('stream events through their signed link without an Authorization header', async () => {
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ target: 'zip' }) });
+    const { eventsUrl } = await res.json();
+
+    const events = await fetch(server.base + eventsUrl);
+    assert.strictEqual(events.status, 200);
+    assert.match(events.headers.get('content-type'), /text\/event-stream/);
+    assert.match(await events.text(), /event: done/);
+
+    const tampered = eventsUrl.replace(/signature=[^&]+/, 'signature=forged');
+    assert.strictEqual((await fetch(server.base + tampered)).status, 401);
+  });
+});
+
+describe('job events', () => {
+  const auth = { Authorization: 'Bearer secret' };
+  let server;
+
+  // Publishing waits until the test lets it go, then reports two committed files
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  const slowPublisher = {
+    name: 'slow',
+    siteUrl: () => undefined,
+    publish: async ({ report }) => {
+      await released;
+      await report('committing', { progress: { current: 1, total: 2 } });
+      await report('committing', { progress: { current: 2, total: 2 } });
+      return { url: 'https://slow.example/', changed: ['index.html', 'robots.txt'] };
+    },
+  };
+
+  before(async () => {
+    server = await startApp({ API_KEYS: 'test:secret' }, { publishers: new Map([['slow', slowPublisher]]) });
+  });
+  after(() => server.close());
+
+  it('streams a job from its current stage through its progress to the result', async () => {
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: auth, body: portfolioForm({ target: 'slow' }) });
+    const { eventsUrl } = await res.json();
+    const stream = await fetch(server.base + eventsUrl);
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+
+    // Let publishing go on once the stream has sent the stage the job is waiting in
+    const events = [];
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const [, event] = /^event: (.*)$/m.exec(block);
+        const data = JSON.parse(/^data: (.*)$/m.exec(block)[1]);
+        if (data.stage === 'queued') continue; // the job may not have started yet
+        events.push([event, data.stage, data.progress && data.progress.current]);
+        if (data.stage === 'validating') release();
+      }
+    }
+
+    assert.deepStrictEqual(events, [
+      ['progress', 'validating', null],
+      ['progress', 'committing', 1],
+      ['progress', 'committing', 2],
+      ['done', 'done', null],
+    ]);
+  });
+});
+
+describe('stored portfolios', () => {
+  const auth = { Authorization: 'Bearer secret' };
+  const otherAuth = { Authorization: 'Bearer other-secret' };
+  const publisher = fakePublisher();
+  let server;
+
+  // Publish a portfolio and return the finished job's result
+  const publish = async (route = '/api/generate', init = {}) => {
+    const res = await fetch(server.base + route, { method: 'POST', headers: auth, body: portfolioForm(), ...init });
+    const job = await waitForJob(server.base, (await res.json()).statusUrl, auth);
+    assert.strictEqual(job.status, 'done');
+    return job.result;
+  };
+  const get = (url, headers = auth) => fetch(server.base + url, { headers });
+
+  before(async () => {
+    server = await startApp({ API_KEYS: 'test:secret,other:other-secret' }, { publishers: new Map([['github', publisher]]) });
+  });
+  after(() => server.close());
+
+  it('lists and shows portfolios to their owner only', async () => {
+    const { id } = await publish();
+
+    const { portfolios } = await (await get('/api/portfolios')).json();
+    assert.ok(portfolios.some(portfolio => portfolio.id === id && portfolio.name === 'Jane'));
+    assert.deepStrictEqual(await (await get('/api/portfolios', otherAuth)).json(), { portfolios: [] });
+
+    const { portfolio } = await (await get(`/api/portfolios/${id}`)).json();
+    assert.strictEqual(portfolio.input.email, 'jane@example.com');
+    assert.strictEqual(portfolio.history.length, 1);
+    assert.ok(!('editTokenHash' in portfolio));
+    assert.strictEqual((await get(`/api/portfolios/${id}`, otherAuth)).status, 403);
+    assert.strictEqual((await get('/api/portfolios/missing')).status, 404);
+  });
+
+  it('lets the owner update a portfolio without its edit token', async () => {
+    const { id } = await publish();
+    const update = (headers, fields) =>
+      fetch(`${server.base}/api/portfolios/${id}`, { method: 'PUT', headers, body: portfolioForm(fields) });
+
+    assert.strictEqual((await update(otherAuth)).status, 403);
+
+    const res = await update(auth, { profession: 'Architect' });
+    assert.strictEqual(res.status, 202);
+    assert.strictEqual((await waitForJob(server.base, (await res.json()).statusUrl, auth)).status, 'done');
+    const { portfolio } = await (await get(`/api/portfolios/${id}`)).json();
+    assert.strictEqual(portfolio.input.profession, 'Architect');
+    assert.strictEqual(portfolio.history.length, 2);
+  });
+
+  it('asks for the edit token of portfolios without an owner', async () => {
+    const store = new PortfolioStore(path.join(server.root, 'data', 'portfolios.json'));
+    const { id } = await store.create('Legacy', { target: 'github', editTokenHash: hashToken('legacy-token') });
+    const update = headers => fetch(`${server.base}/api/portfolios/${id}`, { method: 'PUT', headers, body: portfolioForm() });
+
+    assert.strictEqual((await update(auth)).status, 403);
+    assert.strictEqual((await update({ ...auth, 'X-Edit-Token': 'wrong' })).status, 403);
+    const res = await update({ ...otherAuth, 'X-Edit-Token': 'legacy-token' });
+    assert.strictEqual(res.status, 202);
+    assert.strictEqual((await waitForJob(server.base, (await res.json()).statusUrl, otherAuth)).status, 'done');
+  });
+
+  it('imports an export as a new portfolio', async () => {
+    const { id } = await publish();
+    const res = await get(`/api/portfolios/${id}/export`);
+    assert.match(res.headers.get('Content-Disposition'), new RegExp(`attachment; filename="${id}.json"`));
+    const exported = await res.json();
+    assert.strictEqual(exported.version, 1);
+    assert.strictEqual((await get(`/api/portfolios/${id}/export`, otherAuth)).status, 403);
+
+    const imported = await publish('/api/portfolios/import', {
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify(exported),
+    });
+    assert.notStrictEqual(imported.id, id);
+    const { portfolio } = await (await get(`/api/portfolios/${imported.id}`)).json();
+    assert.deepStrictEqual(portfolio.input, exported.input);
+
+    const bad = await fetch(`${server.base}/api/portfolios/import`, {
+      method: 'POST',
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ version: 2, input: {} }),
+    });
+    assert.strictEqual(bad.status, 400);
+  });
+
+  it('deletes a portfolio, archiving or deleting its site', async () => {
+    const remove = (id, query, headers) => fetch(`${server.base}/api/portfolios/${id}${query}`, { method: 'DELETE', headers });
+
+    const archived = await publish();
+    assert.strictEqual((await remove(archived.id, '?repo=keep', auth)).status, 400);
+    assert.strictEqual((await remove(archived.id, '', otherAuth)).status, 403);
+    const res = await remove(archived.id, '', auth);
+    assert.deepStrictEqual(await res.json(), { id: archived.id, deleted: true, site: 'archived' });
+    assert.strictEqual((await get(`/api/portfolios/${archived.id}`)).status, 404);
+
+    const deleted = await publish();
+    const gone = await remove(deleted.id, '?repo=delete', auth);
+    assert.strictEqual((await gone.json()).site, 'deleted');
+    assert.deepStrictEqual(publisher.unpublished, [{ id: archived.id, mode: 'archive' }, { id: deleted.id, mode: 'delete' }]);
+  });
+});
+
+describe('authentication', () => {
+  const fetchApp = global.fetch;
+  let server;
+
+  // GitHub's side of sign-in: the code "good" is traded for a token of octo's account
+  class ProfileOctokit {
+    constructor({ auth }) {
+      this.users = {
+        getAuthenticated: async () => {
+          assert.strictEqual(auth, 'gho_user');
+          return { data: { id: 42, login: 'octo', name: 'Octo Cat' } };
+        },
+      };
+    }
+  }
+
+  before(async () => {
+    global.fetch = (url, init) => {
+      if (!String(url).startsWith('https://github.com/')) return fetchApp(url, init);
+      const { code } = JSON.parse(init.body);
+      return Promise.resolve(Response.json(code === 'good' ? { access_token: 'gho_user' } : { error: 'bad_verification_code' }));
+    };
+    server = await startApp({
+      API_KEYS: 'test:secret,other:other-secret',
+      GITHUB_CLIENT_ID: 'client',
+      GITHUB_CLIENT_SECRET: 'client-secret',
+      AUTH_SECRET: 'auth-secret',
+    }, { Octokit: ProfileOctokit });
+  });
+  after(async () => {
+    global.fetch = fetchApp;
+    await server.close();
+  });
+
+  const me = headers => fetch(`${server.base}/api/me`, { headers });
+
+  it('requires a known API key or session token', async () => {
+    assert.strictEqual((await me()).status, 401);
+    assert.strictEqual((await me({ Authorization: 'Bearer wrong' })).status, 401);
+    assert.strictEqual((await me({ Authorization: 'Basic secret' })).status, 401);
+
+    const res = await me({ Authorization: 'Bearer secret' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { user: { id: 'key:test', login: 'test', name: 'test' } });
+  });
+
+  it('signs in with GitHub and out again', async () => {
+    // Every sign-in starts at /auth/github, which hands out a single-use state
+    const newState = async () => {
+      const res = await fetch(`${server.base}/auth/github`, { redirect: 'manual' });
+      return new URL(res.headers.get('Location')).searchParams.get('state');
+    };
+    const callback = async (code, state) => fetch(`${server.base}/auth/github/callback?${new URLSearchParams({ code, state })}`);
+
+    assert.strictEqual((await callback('good', 'forged')).status, 400);
+    assert.strictEqual((await callback('bad', await newState())).status, 400);
+    const state = await newState();
+    const res = await callback('good', state);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await callback('good', state)).status, 400);
+    const { token, user } = await res.json();
+    assert.deepStrictEqual(user, { id: 'github:42', login: 'octo', name: 'Octo Cat' });
+
+    const session = { Authorization: `Bearer ${token}` };
+    assert.strictEqual((await (await me(session)).json()).user.login, 'octo');
+    const stored = await fs.readFile(path.join(server.root, 'data', 'users.json'), 'utf8');
+    assert.ok(!stored.includes('gho_user') && !stored.includes(token));
+
+    assert.strictEqual((await fetch(`${server.base}/auth/logout`, { method: 'POST', headers: session })).status, 204);
+    assert.strictEqual((await me(session)).status, 401);
+  });
+
+  it('asks API key users without a server account to choose another target', async () => {
+    const res = await fetch(`${server.base}/api/generate`, { method: 'POST', headers: { Authorization: 'Bearer secret' }, body: portfolioForm() });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).fields[0].code, 'unavailable');
+  });
+
+  it('rate limits each user separately', async () => {
+    let status;
+    for (let n = 0; n < 101; n++) status = (await me({ Authorization: 'Bearer other-secret' })).status;
+    assert.strictEqual(status, 429);
+    assert.strictEqual((await me({ Authorization: 'Bearer secret' })).status, 200);
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const { parseApiKeys } = require('../lib/auth');
+const { hashToken } = require('../lib/portfolios');
+const { UserStore } = require('../lib/users');
+
+describe('parseApiKeys', () => {
+  it('keys each name by the hash of its key', () => {
+    const keys = parseApiKeys('ci:abc, deploy:d:e:f');
+    assert.deepStrictEqual(keys.get(hashToken('abc')), { id: 'key:ci', login: 'ci', name: 'ci' });
+    assert.strictEqual(keys.get(hashToken('d:e:f')).id, 'key:deploy');
+    assert.strictEqual(parseApiKeys(undefined).size, 0);
+  });
+
+  it('rejects entries without a name or key', () => {
+    for (const value of ['nokey', ':abc', 'ci:']) {
+      assert.throws(() => parseApiKeys(value), /Invalid API_KEYS entry/);
+    }
+  });
+});
+
+describe('UserStore', () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eportfolio-users-'));
+    file = path.join(dir, 'users.json');
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('keeps GitHub tokens encrypted and gives them back to the same secret only', async () => {
+    const users = new UserStore(file, { secret: 'server-secret' });
+    const user = await users.saveGithubUser({ githubId: 7, login: 'jane', name: 'Jane', token: 'gho_plaintext' });
+
+    assert.strictEqual(user.id, 'github:7');
+    assert.ok(!(await fs.readFile(file, 'utf8')).includes('gho_plaintext'));
+    assert.deepStrictEqual(users.githubAccount(await users.get(user.id)), { login: 'jane', token: 'gho_plaintext' });
+
+    const otherServer = new UserStore(file, { secret: 'another-secret' });
+    assert.throws(() => otherServer.githubAccount(user));
+  });
+
+  it('finds users by session token until the session is removed', async () => {
+    const users = new UserStore(file, { secret: 'server-secret' });
+    const token = await users.createSession('github:7');
+
+    assert.ok(!(await fs.readFile(file, 'utf8')).includes(token));
+    assert.strictEqual((await users.findSession(token)).login, 'jane');
+    assert.strictEqual(await users.findSession('not-a-session'), null);
+    assert.strictEqual(await users.removeSession(token), true);
+    assert.strictEqual(await users.findSession(token), null);
+  });
+});
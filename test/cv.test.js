@@ -0,0 +1,81 @@
+const assert = require('assert');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { extractCv, parseCvText } = require('../lib/cv');
+const { ValidationError } = require('../lib/errors');
+const { loadLocales } = require('../lib/i18n');
+const { renderPortfolio } = require('../lib/render');
+const { loadThemes } = require('../lib/themes');
+
+const themes = loadThemes(path.join(__dirname, '..', 'themes'));
+const locales = loadLocales(path.join(__dirname, '..', 'locales'));
+
+const resume = `Jane Doe
+jane.doe@example.com | +1 (555) 123-4567 | linkedin.com/in/jane-doe
+
+Summary
+Backend engineer who likes small, well-tested services.
+
+Skills
+Languages: Go, TypeScript, SQL
+Docker; Kubernetes
+
+Experience
+Senior Engineer at Acme Corp
+Jan 2020 - Present
+• Led the move to event-driven billing
+• Cut deploy times in half
+Developer | Initech, Mar 2016 – Dec 2019
+Maintained the reporting pipeline
+
+Education
+BSc Computer Science`;
+
+describe('parseCvText', () => {
+  const { draft, confidence } = parseCvText(resume);
+
+  it('finds contact details in the header', () => {
+    assert.strictEqual(draft.name, 'Jane Doe');
+    assert.strictEqual(draft.email, 'jane.doe@example.com');
+    assert.strictEqual(draft.phone, '+1 (555) 123-4567');
+    assert.strictEqual(draft.linkedin, 'https://www.linkedin.com/in/jane-doe');
+    assert.strictEqual(draft.summary, 'Backend engineer who likes small, well-tested services.');
+    assert.strictEqual(confidence.name, 0.8);
+  });
+
+  it('reads experience entries with their dates and bullet points', () => {
+    assert.deepStrictEqual(draft.experience, [
+      {
+        role: 'Senior Engineer',
+        company: 'Acme Corp',
+        start: 'Jan 2020',
+        end: 'Present',
+        description: '- Led the move to event-driven billing\n- Cut deploy times in half',
+      },
+      { role: 'Developer', company: 'Initech', start: 'Mar 2016', end: 'Dec 2019', description: 'Maintained the reporting pipeline' },
+    ]);
+  });
+
+  it('gives every skill a proficiency, so the draft can be published as it is', () => {
+    assert.deepStrictEqual(draft.skills, ['Go', 'TypeScript', 'SQL', 'Docker', 'Kubernetes']);
+    assert.deepStrictEqual(draft.skillProficiencies, [50, 50, 50, 50, 50]);
+    assert.ok(confidence.skillProficiencies < confidence.skills);
+    assert.doesNotThrow(() => renderPortfolio({ ...draft, profession: 'Engineer', template: 'default' }, { themes, locales }));
+  });
+
+  it('returns an empty draft for text it cannot make sense of', () => {
+    for (const text of ['', '\n\n   \n', '%%%% ~~~ 12 ###']) {
+      const result = parseCvText(text);
+      assert.deepStrictEqual(result.draft, {});
+      assert.ok(Object.values(result.confidence).every(score => score === 0));
+    }
+  });
+});
+
+describe('extractCv', () => {
+  it('rejects files that are not readable PDFs', async () => {
+    for (const buffer of [Buffer.from('plain text'), Buffer.from('%PDF-1.4 truncated')]) {
+      await assert.rejects(extractCv(buffer), error => error instanceof ValidationError && error.fields[0].field === 'cv');
+    }
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const sharp = require('sharp');
+const { ValidationError } = require('../lib/errors');
+const { HEADSHOT_WIDTHS, processHeadshot } = require('../lib/images');
+
+// A wide image, red on its left third and blue on the rest
+const wideImage = () =>
+  sharp({ create: { width: 300, height: 100, channels: 3, background: '#0000ff' } })
+    .composite([{ input: { create: { width: 100, height: 100, channels: 3, background: '#ff0000' } }, left: 0, top: 0 }])
+    .png()
+    .toBuffer();
+
+const byPath = files => new Map(files.map(file => [file.path, Buffer.from(file.content, 'base64')]));
+
+// Average color of an image as [r, g, b]
+const meanColor = async (buffer) => {
+  const { channels } = await sharp(buffer).stats();
+  return channels.slice(0, 3).map(channel => Math.round(channel.mean));
+};
+
+describe('processHeadshot', () => {
+  it('publishes every width as WebP and JPEG squares', async () => {
+    const files = byPath(await processHeadshot(await wideImage()));
+    assert.deepStrictEqual([...files.keys()].sort(), HEADSHOT_WIDTHS.flatMap(width => [`headshot-${width}.jpg`, `headshot-${width}.webp`]).sort());
+    for (const width of HEADSHOT_WIDTHS) {
+      for (const [extension, format] of [['jpg', 'jpeg'], ['webp', 'webp']]) {
+        const metadata = await sharp(files.get(`headshot-${width}.${extension}`)).metadata();
+        assert.deepStrictEqual([metadata.format, metadata.width, metadata.height], [format, width, width]);
+      }
+    }
+  });
+
+  it('crops around the focal point', async () => {
+    const crop = async (focalPoint) => {
+      const files = byPath(await processHeadshot(await wideImage(), { focalPoint: JSON.stringify(focalPoint) }));
+      return meanColor(files.get('headshot-150.webp'));
+    };
+    const [leftRed, , leftBlue] = await crop({ x: 0, y: 0.5 });
+    assert.ok(leftRed > 200 && leftBlue < 50);
+    const [rightRed, , rightBlue] = await crop({ x: 1, y: 0.5 });
+    assert.ok(rightRed < 50 && rightBlue > 200);
+
+    await assert.rejects(processHeadshot(await wideImage(), { focalPoint: JSON.stringify({ x: 2, y: 0 }) }), ValidationError);
+  });
+
+  it('strips EXIF data such as the GPS position', async () => {
+    const photo = await sharp({ create: { width: 80, height: 60, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Copyright: 'Jane' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } } })
+      .toBuffer();
+    assert.ok((await sharp(photo).metadata()).exif);
+
+    for (const content of byPath(await processHeadshot(photo)).values()) {
+      const metadata = await sharp(content).metadata();
+      assert.strictEqual(metadata.exif, undefined);
+      assert.ok(!content.includes('GPS') && !content.includes('Jane'));
+    }
+  });
+
+  it('rejects PNG files that do not decode', async () => {
+    const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    for (const broken of [png.subarray(0, 60), Buffer.concat([png.subarray(0, 40), Buffer.alloc(200, 7)])]) {
+      await assert.rejects(processHeadshot(broken), error =>
+        error instanceof ValidationError && error.fields[0].field === 'image' && error.fields[0].code === 'invalid_format');
+    }
+  });
+});
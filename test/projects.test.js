@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { UpstreamError, ValidationError } = require('../lib/errors');
+const { createProjectImporter } = require('../lib/projects');
+
+const repo = (name, fields = {}) => ({
+  name,
+  description: `About ${name}`,
+  homepage: null,
+  html_url: `https://github.com/jane/${name}`,
+  stargazers_count: 0,
+  topics: [],
+  owner: { login: 'jane' },
+  ...fields,
+});
+
+// The parts of GitHub's API the importer uses, answering with `repos` and counting calls.
+// `failure`, when set, is thrown by every call instead.
+const fakeGithub = (repos, { failure } = {}) => {
+  const calls = [];
+  class FakeOctokit {
+    constructor(options) {
+      const call = (name, fn) => async (...args) => {
+        calls.push({ name, auth: options.auth });
+        if (failure) throw failure;
+        return fn(...args);
+      };
+      this.repos = {
+        listForUser: call('listForUser', () => ({ data: repos })),
+        listLanguages: call('listLanguages', ({ repo: name }) => ({ data: { Go: 10, [`${name}-lang`]: 20 } })),
+      };
+      this.graphql = call('graphql', () => ({ user: { pinnedItems: { nodes: [] } } }));
+    }
+  }
+  return { Octokit: FakeOctokit, calls };
+};
+
+const repos = [
+  repo('cli', { stargazers_count: 3, topics: ['tools'] }),
+  repo('site', { stargazers_count: 40, homepage: 'https://jane.dev/' }),
+  repo('fork', { stargazers_count: 90, fork: true }),
+  repo('old', { stargazers_count: 80, archived: true }),
+  repo('bare', { stargazers_count: 70, description: null }),
+  repo('lib', { stargazers_count: 12, topics: ['tools', 'go'] }),
+];
+
+describe('createProjectImporter', () => {
+  it('keeps owned, described repositories matching the topics, most starred first', async () => {
+    const importProjects = createProjectImporter(fakeGithub(repos));
+    const projects = await importProjects(JSON.stringify({ username: 'jane', topics: ['Tools'] }));
+    assert.deepStrictEqual(projects, [
+      { title: 'lib', description: 'About lib', link: 'https://github.com/jane/lib', languages: ['lib-lang', 'Go'], stars: 12 },
+      { title: 'cli', description: 'About cli', link: 'https://github.com/jane/cli', languages: ['cli-lang', 'Go'], stars: 3 },
+    ]);
+  });
+
+  it('leaves out repositories under minStars and stops at max', async () => {
+    const importProjects = createProjectImporter(fakeGithub(repos));
+    const titles = async spec => (await importProjects(JSON.stringify({ username: 'jane', ...spec }))).map(project => project.title);
+    assert.deepStrictEqual(await titles({ minStars: 10 }), ['site', 'lib']);
+    assert.deepStrictEqual(await titles({ max: 1 }), ['site']);
+  });
+
+  it('links a homepage instead of the repository when it has one', async () => {
+    const importProjects = createProjectImporter(fakeGithub(repos));
+    const [site] = await importProjects(JSON.stringify({ username: 'jane', max: 1 }));
+    assert.strictEqual(site.link, 'https://jane.dev/');
+  });
+
+  it('only imports pinned repositories when signed in with GitHub', async () => {
+    const github = fakeGithub(repos);
+    const importProjects = createProjectImporter(github);
+    await assert.rejects(
+      importProjects(JSON.stringify({ username: 'jane', pinnedOnly: true })),
+      error => error instanceof ValidationError && error.fields[0].field === 'githubProjects.pinnedOnly'
+    );
+    assert.deepStrictEqual(github.calls, []);
+
+    await importProjects(JSON.stringify({ username: 'jane', pinnedOnly: true }), { token: 'gho_token' });
+    assert.deepStrictEqual(github.calls, [{ name: 'graphql', auth: 'gho_token' }]);
+  });
+
+  it('answers the same request from its cache until it expires', async () => {
+    const github = fakeGithub(repos);
+    const importProjects = createProjectImporter({ ...github, ttl: 60 * 1000 });
+    const first = await importProjects(JSON.stringify({ username: 'jane', max: 1 }));
+    const calls = github.calls.length;
+
+    assert.strictEqual(await importProjects(JSON.stringify({ username: 'JANE', max: 1 })), first);
+    assert.strictEqual(github.calls.length, calls);
+    await importProjects(JSON.stringify({ username: 'jane', max: 2 }));
+    assert.ok(github.calls.length > calls);
+  });
+
+  it('reports GitHub failures against githubProjects', async () => {
+    const rateLimited = Object.assign(new Error('API rate limit exceeded for 203.0.113.7'), { status: 403 });
+    await assert.rejects(
+      createProjectImporter(fakeGithub(repos, { failure: rateLimited }))(JSON.stringify({ username: 'jane' })),
+      error => error instanceof UpstreamError && error.status === 503 && error.fields[0].code === 'rate_limited' && error.cause === rateLimited
+    );
+
+    const unauthorized = Object.assign(new Error('Bad credentials'), { status: 401 });
+    await assert.rejects(
+      createProjectImporter(fakeGithub(repos, { failure: unauthorized }))(JSON.stringify({ username: 'jane' })),
+      error => error instanceof UpstreamError && error.status === 502 && /githubProjects/.test(error.message)
+    );
+  });
+
+  it('reports an unknown user as a problem with the username', async () => {
+    const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+    await assert.rejects(
+      createProjectImporter(fakeGithub(repos, { failure: notFound }))(JSON.stringify({ username: 'nobody' })),
+      error => error instanceof ValidationError && error.fields[0].code === 'not_found'
+    );
+  });
+});
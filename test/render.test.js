@@ -0,0 +1,234 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { ValidationError } = require('../lib/errors');
+const { safeUrl, url } = require('../lib/html');
+const { renderMarkdown } = require('../lib/markdown');
+const { renderPortfolio } = require('../lib/render');
+const { loadLocales } = require('../lib/i18n');
+const { loadThemes } = require('../lib/themes');
+
+const themes = loadThemes(path.join(__dirname, '..', 'themes'));
+const locales = loadLocales(path.join(__dirname, '..', 'locales'));
+
+// Every payload carries a character that has to be escaped, so finding one verbatim in the
+// output means it went out unescaped
+const payloads = [
+  '<script>alert(1)</script>',
+  '"><img src=x onerror=alert(1)>',
+  "' onmouseover='alert(1)",
+  '</title><script>alert(1)</script>',
+  '</style><script>alert(1)</script>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<svg/onload=alert(1)>',
+  '`><iframe srcdoc="<script>alert(1)</script>">',
+];
+
+const allSections = JSON.stringify([
+  'about', 'experience', 'education', 'skills', 'projects',
+  'certifications', 'publications', 'testimonials', 'resume', 'contact',
+]);
+
+// A payload with every free-text field set to the same string
+const bodyWith = (payload, template) => ({
+  name: payload,
+  profession: payload,
+  tagline: payload,
+  summary: payload,
+  about: payload,
+  email: 'jane@example.com',
+  template,
+  sections: allSections,
+  skills: JSON.stringify([payload]),
+  skillProficiencies: JSON.stringify([50]),
+  projects: JSON.stringify([{ title: payload, description: payload, category: payload, link: 'https://example.com/' }]),
+  experience: JSON.stringify([{ role: payload, company: payload, location: payload, start: payload.slice(0, 30), description: payload }]),
+  education: JSON.stringify([{ institution: payload, degree: payload, field: payload, description: payload }]),
+  certifications: JSON.stringify([{ name: payload, issuer: payload, date: payload.slice(0, 30) }]),
+  publications: JSON.stringify([{ title: payload, publisher: payload, description: payload }]),
+  testimonials: JSON.stringify([{ quote: payload, author: payload, role: payload }]),
+});
+
+const countScripts = html => (html.match(/<script/gi) || []).length;
+const baseline = renderPortfolio(bodyWith('Jane', 'default'), { themes, locales }).html;
+
+describe('renderPortfolio escaping', () => {
+  for (const themeId of themes.keys()) {
+    describe(`theme ${themeId}`, () => {
+      for (const payload of payloads) {
+        it(`escapes ${payload}`, () => {
+          const { html } = renderPortfolio(bodyWith(payload, themeId), { themes, locales });
+          assert.ok(!html.includes(payload), 'payload appears unescaped');
+          assert.strictEqual(countScripts(html), countScripts(baseline));
+          assert.ok(!/<(img|svg|iframe)[^>]*on\w+=/i.test(html));
+          assert.ok(!/href="\s*javascript:/i.test(html));
+        });
+      }
+
+      it('escapes the email address in mailto links', () => {
+        const body = { ...bodyWith('Jane', themeId), email: '"><svg/onload=alert(1)>@x.io' };
+        const { html } = renderPortfolio(body, { themes, locales });
+        assert.ok(!html.includes('"><svg'));
+        assert.ok(html.includes('mailto:&quot;&gt;&lt;svg/onload'));
+      });
+    });
+  }
+
+  it('substitutes each value once', () => {
+    const body = { ...bodyWith('Jane', 'default'), name: '{email}', tagline: '{name} {skills} {projects}' };
+    const { html } = renderPortfolio(body, { themes, locales });
+    assert.ok(html.includes('<title>{email} | '));
+    assert.ok(html.includes('<p>{name} {skills} {projects}</p>'));
+  });
+
+  it('rejects links with other schemes before rendering', () => {
+    for (const link of ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']) {
+      const body = { ...bodyWith('Jane', 'default'), projects: JSON.stringify([{ title: 'x', description: 'y', link }]) };
+      assert.throws(() => renderPortfolio(body, { themes, locales }), ValidationError);
+    }
+  });
+
+  it('rejects palettes that could break out of the stylesheet', () => {
+    const body = { ...bodyWith('Jane', 'default'), palette: JSON.stringify({ accent: 'red;}</style><script>alert(1)</script>' }) };
+    assert.throws(() => renderPortfolio(body, { themes, locales }), ValidationError);
+  });
+});
+
+describe('bundled assets', () => {
+  it('loads nothing from other origins and allows the inline code by hash', () => {
+    const { html, files } = renderPortfolio({ ...bodyWith('Jane', 'default'), assets: 'bundled' }, { themes, locales });
+    assert.ok(!/(src|href)="https?:\/\/(fonts|cdn)\./.test(html));
+    assert.ok(!/ style="/.test(html));
+    const policy = /http-equiv="Content-Security-Policy" content="([^"]+)"/.exec(html)[1].replace(/&#39;/g, "'");
+    for (const [, code] of [/<style>([\s\S]*?)<\/style>/.exec(html), /<script>([\s\S]*?)<\/script>/.exec(html)]) {
+      assert.ok(policy.includes(crypto.createHash('sha256').update(code).digest('base64')));
+    }
+    for (const file of ['assets/aos.js', 'assets/fonts.css', 'assets/fonts/inter-latin-400-normal.woff2']) {
+      assert.ok(files.some(asset => asset.path === file), file);
+    }
+  });
+});
+
+describe('search and social metadata', () => {
+  const body = {
+    ...bodyWith('Jane', 'default'),
+    linkedin: 'https://www.linkedin.com/in/jane',
+    skills: JSON.stringify(['Go', 'SQL']),
+    skillProficiencies: JSON.stringify([80, 60]),
+  };
+  const fileText = (files, name) => Buffer.from(files.find(file => file.path === name).content, 'base64').toString();
+
+  it('links the canonical URL, preview card and sitemap to the site address', () => {
+    const { html, files } = renderPortfolio(body, { themes, locales, siteUrl: 'https://jane.github.io/eportfolio-jane', headshot: true });
+    assert.ok(html.includes('<link rel="canonical" href="https://jane.github.io/eportfolio-jane/" />'));
+    assert.ok(html.includes('<meta property="og:image" content="https://jane.github.io/eportfolio-jane/headshot-600.jpg" />'));
+    assert.ok(fileText(files, 'sitemap.xml').includes('<loc>https://jane.github.io/eportfolio-jane/</loc>'));
+    assert.ok(fileText(files, 'robots.txt').includes('Sitemap: https://jane.github.io/eportfolio-jane/sitemap.xml'));
+  });
+
+  it('describes the person as JSON-LD', () => {
+    const { html } = renderPortfolio(body, { themes, locales, siteUrl: 'https://example.com/jane/' });
+    const person = JSON.parse(/<script type="application\/ld\+json">(.*?)<\/script>/.exec(html)[1]);
+    assert.strictEqual(person['@type'], 'Person');
+    assert.strictEqual(person.name, 'Jane');
+    assert.deepStrictEqual(person.knowsAbout, ['Go', 'SQL']);
+    assert.deepStrictEqual(person.sameAs, ['https://www.linkedin.com/in/jane']);
+    assert.strictEqual(person.subjectOf[0]['@type'], 'CreativeWork');
+  });
+
+  it('only links a preview image when there is a headshot', () => {
+    const { html } = renderPortfolio(body, { themes, locales, siteUrl: 'https://example.com/jane/' });
+    const person = JSON.parse(/<script type="application\/ld\+json">(.*?)<\/script>/.exec(html)[1]);
+    assert.ok(!html.includes('og:image') && !html.includes('twitter:image'));
+    assert.strictEqual(person.image, undefined);
+  });
+
+  it('only shows a headshot in the about section once one is uploaded', () => {
+    assert.ok(!renderPortfolio(body, { themes, locales }).html.includes('<picture>'));
+    const { html } = renderPortfolio(body, { themes, locales, headshot: true });
+    assert.ok(html.includes('<picture>') && html.includes('src="./headshot-300.jpg"'));
+  });
+
+  it('leaves out absolute links when the address is unknown', () => {
+    const { html, files } = renderPortfolio(body, { themes, locales });
+    assert.ok(!html.includes('rel="canonical"') && !html.includes('og:image'));
+    assert.deepStrictEqual(files.map(file => file.path), ['robots.txt']);
+  });
+});
+
+describe('URL escaping', () => {
+  it('only lets allowed schemes through', () => {
+    for (const value of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' java\tscript:alert(1)', 'java\nscript:x', 'data:text/html,x', 'vbscript:x', '//evil.example']) {
+      assert.strictEqual(safeUrl(value), '#', value);
+    }
+    for (const value of ['https://example.com/', 'http://example.com/', 'mailto:a@b.co', 'tel:+15551234', './resume.pdf', '#contact']) {
+      assert.strictEqual(safeUrl(value), value);
+    }
+  });
+
+  it('escapes allowed URLs for attributes', () => {
+    assert.strictEqual(String(url('https://example.com/?a=1&b="2"')), 'https://example.com/?a=1&amp;b=&quot;2&quot;');
+  });
+});
+
+describe('Markdown', () => {
+  it('renders paragraphs, lists, emphasis and links', () => {
+    const result = String(renderMarkdown('Hello **there**\n\n- one\n- _two_\n\n[site](https://example.com/)'));
+    assert.ok(result.includes('<p>Hello <strong>there</strong></p>'));
+    assert.ok(result.includes('<li>one</li>') && result.includes('<li><em>two</em></li>'));
+    assert.ok(result.includes('<a href="https://example.com/" target="_blank" rel="noopener noreferrer">site</a>'));
+  });
+
+  it('leaves out raw HTML, images and unsafe links', () => {
+    const result = String(renderMarkdown('<b onclick="x">hi</b> ![x](https://example.com/x.png) [a](javascript:alert(1)) [b](//evil.example)'));
+    assert.ok(!/<(b|img)\b/.test(result));
+    assert.ok(!/href="(javascript:|\/\/)/.test(result));
+  });
+
+  it('shows the same rendering in the page', () => {
+    const body = { ...bodyWith('Jane', 'default'), about: 'First\n\nSecond with *emphasis*' };
+    const { html } = renderPortfolio(body, { themes, locales });
+    assert.ok(html.includes('<p>First</p>\n<p>Second with <em>emphasis</em></p>'));
+  });
+
+  it('renders the bullet points of experience entries as lists', () => {
+    const experience = [{ role: 'Engineer', company: 'Acme', description: '- Led the **billing** move\n- Cut deploy times' }];
+    const body = { ...bodyWith('Jane', 'default'), experience: JSON.stringify(experience) };
+    const { html } = renderPortfolio(body, { themes, locales });
+    assert.ok(html.includes('<ul>\n<li>Led the <strong>billing</strong> move</li>\n<li>Cut deploy times</li>\n</ul>'));
+  });
+});
+
+describe('languages', () => {
+  it('renders right-to-left locales and a page per translation', () => {
+    const body = { ...bodyWith('Jane', 'default'), locale: 'ar', translations: JSON.stringify({ es: { tagline: 'Hola' } }) };
+    const { html, files } = renderPortfolio(body, { themes, locales, siteUrl: 'https://jane.github.io/site' });
+    assert.ok(html.includes('<html lang="ar" dir="rtl">'));
+    assert.ok(html.includes('<a href="./es/" hreflang="es" lang="es">'));
+    const page = files.find(file => file.path === 'es/index.html');
+    const translated = Buffer.from(page.content, 'base64').toString();
+    assert.ok(translated.includes('<html lang="es" dir="ltr">'));
+    assert.ok(translated.includes('<link rel="canonical" href="https://jane.github.io/site/es/" />'));
+  });
+
+  it('reports problems in a translation under its key', () => {
+    const body = { ...bodyWith('Jane', 'default'), translations: JSON.stringify({ fr: { name: '' } }) };
+    assert.throws(() => renderPortfolio(body, { themes, locales }), error =>
+      error instanceof ValidationError && error.fields[0].field === 'translations.fr.name');
+  });
+});
+
+describe('imported GitHub projects', () => {
+  it('adds them after typed projects with language and star badges', () => {
+    const body = { ...bodyWith('Jane', 'default'), projects: JSON.stringify([{ title: 'Mine', description: 'Typed', link: 'https://a.dev/' }]) };
+    const githubProjects = [
+      { title: 'dup', description: 'Same link', link: 'https://a.dev/', languages: [], stars: 0 },
+      { title: 'tool', description: 'A <tool>', link: 'https://github.com/jane/tool', languages: ['Go', 'C'], stars: 12 },
+    ];
+    const { html } = renderPortfolio(body, { themes, locales, githubProjects });
+    assert.ok(!html.includes('<h3>dup</h3>'));
+    assert.ok(html.includes('<span class="project-badge">Go</span><span class="project-badge">C</span><span class="project-badge">12 stars</span>'));
+    assert.ok(html.includes('A &lt;tool&gt;'));
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const { contrastRatio, isSafeCssValue, loadThemes, parseColors, resolvePalette } = require('../lib/themes');
+
+const themesDir = path.join(__dirname, '..', 'themes');
+const themes = loadThemes(themesDir);
+
+describe('contrast', () => {
+  it('measures WCAG contrast ratios', () => {
+    const [black, white] = parseColors('#000 #fff');
+    assert.strictEqual(contrastRatio(black, white), 21);
+    assert.strictEqual(contrastRatio(white, white), 1);
+  });
+
+  it('reads every stop of a gradient', () => {
+    assert.deepStrictEqual(parseColors('linear-gradient(90deg, #f00 0%, rgb(0, 0, 255) 100%)'), [
+      { r: 255, g: 0, b: 0 },
+      { r: 0, g: 0, b: 255 },
+    ]);
+  });
+
+  it('only accepts plain colors and gradients', () => {
+    assert.ok(isSafeCssValue('hsl(210, 50%, 40%)'));
+    for (const value of ['url(https://evil.example/x.png)', 'red;}', 'expression(alert(1))', '']) {
+      assert.ok(!isSafeCssValue(value), value);
+    }
+  });
+});
+
+describe('resolvePalette', () => {
+  const theme = themes.get('default');
+
+  it('lays custom colors over the theme', () => {
+    const { colors, problems } = resolvePalette(theme, { accent: '#0f766e' });
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(colors.accent, '#0f766e');
+    assert.strictEqual(colors.text, theme.colors.text);
+  });
+
+  it('rejects custom colors that make text hard to read', () => {
+    const { colors, problems } = resolvePalette(theme, { text: '#d1d5db' });
+    assert.strictEqual(colors, null);
+    assert.deepStrictEqual(problems.map(({ key, code }) => [key, code]), [
+      ['text', 'low_contrast'],
+      ['text', 'low_contrast'],
+    ]);
+    assert.match(problems[0].message, /at least 4\.5:1/);
+  });
+
+  it('rejects colors the theme does not have', () => {
+    const { problems } = resolvePalette(theme, { linkColor: '#000000' });
+    assert.deepStrictEqual(problems.map(({ key, code }) => [key, code]), [['linkColor', 'unknown_color']]);
+  });
+});
+
+describe('loadThemes', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eportfolio-themes-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('loads the bundled themes', () => {
+    assert.deepStrictEqual([...themes.keys()], ['dark', 'default', 'vibrant']);
+    assert.strictEqual(themes.get('default').name, 'Default');
+  });
+
+  it('refuses a theme missing colors', () => {
+    const { colors } = themes.get('default');
+    const { footerBg, heroText, ...partial } = colors;
+    fs.writeFileSync(path.join(dir, 'partial.json'), JSON.stringify({ name: 'Partial', colors: partial }));
+    assert.throws(() => loadThemes(dir), /Invalid theme partial\.json: Missing colors: heroText, footerBg/);
+  });
+});
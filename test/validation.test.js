@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { ValidationError } = require('../lib/errors');
+const { array, json, number, object, phone, string, url, validate } = require('../lib/schema');
+const { validatePortfolio } = require('../lib/validation');
+
+const options = { themeIds: () => ['default'], localeIds: () => ['en', 'fr'] };
+const minimal = { name: 'Jane', profession: 'Engineer', email: 'jane@example.com', template: 'default' };
+
+// The { field, code } pairs a payload is rejected with, or [] when it is accepted
+const problems = (body) => {
+  try {
+    validatePortfolio({ ...minimal, ...body }, options);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.fields.map(({ field, code }) => [field, code]);
+  }
+};
+
+describe('schema rules', () => {
+  it('report every problem under its field with a code and message', () => {
+    const rule = object({ name: string({ required: true }), age: number({ min: 0, max: 120 }) });
+    const { errors } = validate(rule, { age: 200 });
+    assert.deepStrictEqual(errors, [
+      { field: 'name', code: 'required', message: 'name is required' },
+      { field: 'age', code: 'out_of_range', message: 'age must be between 0 and 120' },
+    ]);
+  });
+
+  it('parse JSON fields and name the ones that are not JSON', () => {
+    const rule = json(array(number()));
+    assert.deepStrictEqual(validate(rule, '[1, 2]').value, [1, 2]);
+    assert.deepStrictEqual(validate(rule, '[1,').errors.map(problem => problem.code), ['invalid_json']);
+  });
+
+  it('limit lists and name entries by their index', () => {
+    const rule = array(number({ required: true, max: 10 }), { max: 2 });
+    assert.deepStrictEqual(validate(rule, [1, 2, 3]).errors.map(problem => problem.code), ['too_many']);
+    assert.deepStrictEqual(validate(rule, [1, 11]).errors.map(problem => [problem.field, problem.code]), [['[1]', 'out_of_range']]);
+  });
+
+  it('only accept URLs on the allowed hosts and schemes', () => {
+    const rule = url({ hosts: ['linkedin.com'] });
+    assert.strictEqual(validate(rule, 'https://www.linkedin.com/in/jane').value, 'https://www.linkedin.com/in/jane');
+    for (const value of ['https://linkedin.com.evil.example/in/jane', 'https://notlinkedin.com/', 'javascript:alert(1)', 'linkedin.com/in/jane']) {
+      assert.deepStrictEqual(validate(rule, value).errors.map(problem => problem.code), ['invalid_url'], value);
+    }
+  });
+
+  it('accept phone numbers with the usual separators only', () => {
+    for (const value of ['+1 (555) 123-4567', '030 1234567', '+44.20.7946.0958']) {
+      assert.deepStrictEqual(validate(phone(), value).errors, [], value);
+    }
+    for (const value of ['call me', '12345', '+1 555 123 4567 ext 89', '1234567890123456']) {
+      assert.deepStrictEqual(validate(phone(), value).errors.map(problem => problem.code), ['invalid_phone'], value);
+    }
+  });
+});
+
+describe('validatePortfolio', () => {
+  it('accepts the smallest payload', () => {
+    assert.deepStrictEqual(problems({}), []);
+  });
+
+  it('rejects structured fields that are not JSON', () => {
+    assert.deepStrictEqual(problems({ sections: '["about"' }), [['sections', 'invalid_json']]);
+    assert.deepStrictEqual(problems({ skills: '{', skillProficiencies: '[]' }), [['skills', 'invalid_json']]);
+  });
+
+  it('rejects proficiencies outside 0-100 and lists that do not match', () => {
+    const skills = JSON.stringify(['Go', 'SQL']);
+    assert.deepStrictEqual(problems({ skills, skillProficiencies: '[50, 101]' }), [['skillProficiencies[1]', 'out_of_range']]);
+    assert.deepStrictEqual(problems({ skills, skillProficiencies: '[50, -1]' }), [['skillProficiencies[1]', 'out_of_range']]);
+    assert.deepStrictEqual(problems({ skills, skillProficiencies: '[50]' }), [['skillProficiencies', 'mismatch']]);
+  });
+
+  it('rejects LinkedIn links to other hosts and malformed phone numbers', () => {
+    assert.deepStrictEqual(problems({ linkedin: 'https://example.com/in/jane', phone: 'not a number' }), [
+      ['linkedin', 'invalid_url'],
+      ['phone', 'invalid_phone'],
+    ]);
+  });
+
+  it('rejects lists with too many entries', () => {
+    const skills = Array.from({ length: 51 }, (_, index) => `Skill ${index}`);
+    assert.deepStrictEqual(problems({ skills: JSON.stringify(skills), skillProficiencies: JSON.stringify(skills.map(() => 50)) }), [
+      ['skills', 'too_many'],
+      ['skillProficiencies', 'too_many'],
+    ]);
+    assert.deepStrictEqual(problems({ sections: JSON.stringify(Array(11).fill('about')) }), [['sections', 'too_many']]);
+  });
+});